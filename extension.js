@@ -1,284 +1,169 @@
 // The module 'vscode' contains the VS Code extensibility API
 const vscode = require('vscode');
-const { exec } = require('child_process');
 const path = require('path');
-const fs = require('fs');
+const rules = require('./lib/rules');
+const configLoader = require('./lib/config');
+const { createGit, commitWithMessage, listStagedFiles } = require('./lib/git');
+const gitHooks = require('./lib/git-hooks');
+const { HOOK_RUNNER_PATH, buildHookScripts, checkInstalledHooks } = require('./lib/hook-scripts');
+const { registerScmInputLinting, registerScmTicketPrefill } = require('./lib/editor/scm-input');
+const { registerCommitFileLinting } = require('./lib/editor/commit-file');
+const { registerTicketTracker } = require('./lib/editor/tracker');
+const { runBranchWizard } = require('./lib/editor/branch-wizard');
+const { runBranchRename } = require('./lib/editor/branch-rename');
+const { runCommitComposer } = require('./lib/editor/commit-composer');
+const { runCommitReword } = require('./lib/editor/commit-reword');
+const { registerAuditView } = require('./lib/editor/audit-view');
 
 // Global reference to status bar item for cleanup
 let globalStatusBarItem = null;
 
-// Branch naming conventions - New JIRA style only
-const BRANCH_PATTERNS = {
-    jira: /^(feature|bugfix|hotfix|release|chore)\/[A-Z]+-[0-9]+-[a-z0-9-]+$/
-};
+// Config warnings already shown, so live checks don't repeat them on every keystroke
+const shownConfigWarnings = new Set();
 
-// Commit message patterns - New JIRA style only
-const COMMIT_PATTERNS = {
-    jira: /^\[[A-Z]+-[0-9]+\] (feat|fix|docs|style|refactor|test|chore)\([a-z0-9-]+\): .{1,80}$/
-};
+// Configuration per folder, dropped when the settings or a file it is read from change
+const configCache = configLoader.createConfigCache(workspacePath => {
+    const { config, warnings } = configLoader.loadConfig(workspacePath, getSettings(workspacePath));
+    warnings.filter(warning => !shownConfigWarnings.has(warning)).forEach(warning => {
+        shownConfigWarnings.add(warning);
+        vscode.window.showWarningMessage(`Validate Branch: ${warning}`);
+    });
+    return config;
+});
+
+/**
+ * Get the workspace folder of the active editor, if any
+ */
+function getFocusedWorkspaceFolder() {
+    const editor = vscode.window.activeTextEditor;
+    return editor ? vscode.workspace.getWorkspaceFolder(editor.document.uri) : undefined;
+}
 
 /**
- * Get the current workspace folder path
+ * Get the workspace folder path in focus: the active editor's folder, else the first folder
  */
 function getWorkspacePath() {
     const workspaceFolders = vscode.workspace.workspaceFolders;
     if (!workspaceFolders || workspaceFolders.length === 0) {
         return null;
     }
-    return workspaceFolders[0].uri.fsPath;
+    const focused = getFocusedWorkspaceFolder();
+    return (focused || workspaceFolders[0]).uri.fsPath;
 }
 
 /**
- * Execute git command
+ * Get the workspace folder path a command acts on: the active editor's folder,
+ * the only folder, or the one picked by the user. Resolves undefined (after
+ * telling the user when there is no folder at all) if there is none.
  */
-function executeGitCommand(command, workspacePath) {
-    return new Promise((resolve, reject) => {
-        exec(command, { cwd: workspacePath }, (error, stdout) => {
-            if (error) {
-                reject(error);
-            } else {
-                resolve(stdout.trim());
-            }
-        });
-    });
-}
-
-/**
- * Get extension configuration
- */
-function getConfig() {
-    const config = vscode.workspace.getConfiguration('validateBranch');
-    return {
-        branchPattern: config.get('branchPattern', 'jira'),
-        commitPattern: config.get('commitPattern', 'jira'),
-        enableBranchValidation: config.get('enableBranchValidation', true),
-        enableCommitValidation: config.get('enableCommitValidation', true),
-        customBranchPattern: config.get('customBranchPattern', ''),
-        customCommitPattern: config.get('customCommitPattern', '')
-    };
-}
-
-/**
- * Get current extension configuration for hooks
- */
-function getHookConfig(workspacePath) {
-    try {
-        const configPath = path.join(workspacePath, '.vscode', 'settings.json');
-        let config = {
-            branchPattern: 'jira',
-            commitPattern: 'jira',
-            enableBranchValidation: true,
-            enableCommitValidation: true,
-            customBranchPattern: '',
-            customCommitPattern: ''
-        };
-        
-        if (fs.existsSync(configPath)) {
-            const settings = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-            config.branchPattern = settings['validateBranch.branchPattern'] || config.branchPattern;
-            config.commitPattern = settings['validateBranch.commitPattern'] || config.commitPattern;
-            config.enableBranchValidation = settings['validateBranch.enableBranchValidation'] !== false;
-            config.enableCommitValidation = settings['validateBranch.enableCommitValidation'] !== false;
-            config.customBranchPattern = settings['validateBranch.customBranchPattern'] || '';
-            config.customCommitPattern = settings['validateBranch.customCommitPattern'] || '';
-        }
-        
-        return config;
-    } catch {
-        return {
-            branchPattern: 'jira',
-            commitPattern: 'jira',
-            enableBranchValidation: true,
-            enableCommitValidation: true,
-            customBranchPattern: '',
-            customCommitPattern: ''
-        };
+async function pickWorkspacePath() {
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    if (!workspaceFolders || workspaceFolders.length === 0) {
+        vscode.window.showErrorMessage('No workspace folder found');
+        return undefined;
     }
+    const focused = getFocusedWorkspaceFolder();
+    if (focused || workspaceFolders.length === 1) {
+        return (focused || workspaceFolders[0]).uri.fsPath;
+    }
+    const folder = await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Select the repository' });
+    return folder ? folder.uri.fsPath : undefined;
 }
 
 /**
- * Generate branch validation script
+ * Get the validateBranch.* editor settings (user, workspace and, in a
+ * multi-root workspace, the folder's own settings)
  */
-function generateBranchValidationScript(config) {
-    const patterns = {
-        jira: '^(feature|bugfix|hotfix|release|chore)/[A-Z]+-[0-9]+-[a-z0-9-]+$'
-    };
-    
-    const pattern = config.branchPattern === 'custom' && config.customBranchPattern 
-        ? config.customBranchPattern 
-        : patterns[config.branchPattern] || patterns.jira;
-    
-    const examples = {
-        jira: ['feature/APC-2876-user-auth', 'bugfix/APC-1234-login-fix', 'hotfix/APC-5678-security-patch', 'release/APC-9999-v2-release', 'chore/APC-1111-update-deps']
-    };
-    
-    const exampleList = config.branchPattern === 'custom' 
-        ? ['custom-pattern-example'] 
-        : examples[config.branchPattern] || examples.jira;
-    
-    return `
-validate_branch_name() {
-    local branch_name="$1"
-    local pattern="${pattern}"
-    
-    if ! echo "$branch_name" | grep -qE "$pattern"; then
-        echo "❌ Branch name '$branch_name' doesn't follow the ${config.branchPattern} convention."
-        echo ""
-        echo "Examples:"
-        ${exampleList.map(ex => `echo "  ${ex}"`).join('\n        ')}
-        echo ""
-        echo "Current pattern: $pattern"
-        return 1
-    fi
-    return 0
-}`;
+function getSettings(workspacePath) {
+    const scope = workspacePath ? vscode.Uri.file(workspacePath) : undefined;
+    const config = vscode.workspace.getConfiguration('validateBranch', scope);
+    const settings = {};
+    Object.keys(rules.DEFAULT_CONFIG).forEach(key => {
+        settings[key] = config.get(key, rules.DEFAULT_CONFIG[key]);
+    });
+    return settings;
 }
 
 /**
- * Generate commit validation script
+ * Get extension configuration: editor settings overridden by the repository config file
  */
-function generateCommitValidationScript(config) {
-    const patterns = {
-        jira: '^\\[[A-Z]+-[0-9]+\\] (feat|fix|docs|style|refactor|test|chore)\\([a-z0-9-]+\\): .{1,80}$'
-    };
-    
-    const pattern = config.commitPattern === 'custom' && config.customCommitPattern 
-        ? config.customCommitPattern 
-        : patterns[config.commitPattern] || patterns.jira;
-    
-    const examples = {
-        jira: ['[APC-2356] feat(auth): Add Login Functionality', '[APC-1234] fix(ui): Resolve button alignment issue', '[APC-5678] docs(readme): Update installation guide', '[APC-9999] refactor(api): Simplify user service']
-    };
-    
-    const exampleList = config.commitPattern === 'custom' 
-        ? ['custom-pattern-example'] 
-        : examples[config.commitPattern] || examples.jira;
-    
-    return `
-validate_commit_message() {
-    local commit_message="$1"
-    local pattern="${pattern}"
-    
-    if ! echo "$commit_message" | grep -qE "$pattern"; then
-        echo "❌ Commit message doesn't follow the ${config.commitPattern} convention."
-        echo ""
-        echo "Examples:"
-        ${exampleList.map(ex => `echo "  ${ex}"`).join('\n        ')}
-        echo ""
-        echo "Current pattern: $pattern"
-        return 1
-    fi
-    return 0
-}`;
+function getConfig(workspacePath) {
+    return configCache.get(workspacePath);
 }
 
 /**
- * Validate branch name
+ * Validate branch name, reporting an invalid custom pattern to the user
  */
-function validateBranchName(branchName, pattern) {
-    const config = getConfig();
-    let regex;
-    
-    if (pattern === 'custom' && config.customBranchPattern) {
-        try {
-            regex = new RegExp(config.customBranchPattern);
-        } catch {
-            vscode.window.showErrorMessage('Invalid custom branch pattern in settings');
-            return false;
-        }
-    } else {
-        regex = BRANCH_PATTERNS[pattern];
-    }
-    
-    if (!regex) {
-        return false;
+function validateBranchName(branchName, config) {
+    const result = rules.validateBranchName(branchName, config);
+    if (result.error) {
+        vscode.window.showErrorMessage(`${result.error} (check your settings)`);
     }
-    
-    return regex.test(branchName);
+    return result.valid;
 }
 
 /**
- * Validate commit message
+ * Validate commit message, reporting an invalid custom pattern to the user.
+ * Returns the full result so callers can list every problem.
  */
-function validateCommitMessage(message, pattern) {
-    const config = getConfig();
-    let regex;
-    
-    if (pattern === 'custom' && config.customCommitPattern) {
-        try {
-            regex = new RegExp(config.customCommitPattern);
-        } catch {
-            vscode.window.showErrorMessage('Invalid custom commit pattern in settings');
-            return false;
-        }
-    } else {
-        regex = COMMIT_PATTERNS[pattern];
-    }
-    
-    if (!regex) {
-        return false;
+function validateCommitMessage(message, config, stagedFiles) {
+    const result = rules.validateCommitMessage(message, config, {}, stagedFiles);
+    if (result.error) {
+        vscode.window.showErrorMessage(`${result.error} (check your settings)`);
     }
-    
-    return regex.test(message);
-}
-
-/**
- * Get branch naming convention examples
- */
-function getBranchExamples(pattern) {
-    const examples = {
-        jira: [
-            'feature/APC-2876-user-auth',
-            'bugfix/APC-1234-login-fix',
-            'hotfix/APC-5678-security-patch',
-            'release/APC-9999-v2-release',
-            'chore/APC-1111-update-deps'
-        ]
-    };
-    return examples[pattern] || examples.jira;
-}
-
-/**
- * Get commit message examples
- */
-function getCommitExamples(pattern) {
-    const examples = {
-        jira: [
-            '[APC-2356] feat(auth): Add Login Functionality',
-            '[APC-1234] fix(ui): Resolve button alignment issue',
-            '[APC-5678] docs(readme): Update installation guide',
-            '[APC-9999] refactor(api): Simplify user service'
-        ]
-    };
-    return examples[pattern] || examples.jira;
+    return result;
 }
 
 /**
  * Show validation error with examples
  */
-function showBranchValidationError(branchName, pattern) {
-    const examples = getBranchExamples(pattern);
-    const exampleText = examples.length > 0 ? `\n\nExamples:\n${examples.join('\n')}` : '';
+function showBranchValidationError(branchName, config) {
+    const rule = rules.getBranchRule(config);
+    const examples = rule.examples;
+    const exampleText = examples.length > 0 ? `\n\nExamples:\n${examples.join('\n')}` : `\n\nPattern: ${rule.pattern}`;
     
     vscode.window.showErrorMessage(
-        `❌ Branch name "${branchName}" doesn't follow the ${pattern} convention.${exampleText}`,
+        `❌ Branch name "${branchName}" doesn't follow the ${rule.convention} convention.${exampleText}`,
+        'Fix Branch Name',
         'Open Settings'
     ).then(selection => {
-        if (selection === 'Open Settings') {
+        if (selection === 'Fix Branch Name') {
+            vscode.commands.executeCommand('validate-branch.fixBranchName');
+        } else if (selection === 'Open Settings') {
             vscode.commands.executeCommand('workbench.action.openSettings', 'validateBranch');
         }
     });
 }
 
+/**
+ * Show the warnings of a branch name that passes validation
+ */
+function showBranchValidationWarning(branchName, result) {
+    vscode.window.showWarningMessage(
+        `⚠️ Branch "${branchName}" passes, with warnings:\n${result.warnings.map(warning => warning.message).join('\n')}`,
+        'Fix Branch Name'
+    ).then(selection => {
+        if (selection === 'Fix Branch Name') {
+            vscode.commands.executeCommand('validate-branch.fixBranchName');
+        }
+    });
+}
+
 /**
  * Show commit validation error with examples
  */
-function showCommitValidationError(message, pattern) {
-    const examples = getCommitExamples(pattern);
-    const exampleText = examples.length > 0 ? `\n\nExamples:\n${examples.join('\n')}` : '';
+function showCommitValidationError(result, config) {
+    if (result.error) {
+        return;
+    }
+    const rule = rules.getCommitRule(config);
+    const examples = rule.examples;
+    const brokeConvention = result.problems.some(problem => problem.rule === 'header-pattern');
+    const exampleText = !brokeConvention ? ''
+        : examples.length > 0 ? `\n\nExamples:\n${examples.join('\n')}` : `\n\nPattern: ${rule.pattern}`;
     
     vscode.window.showErrorMessage(
-        `❌ Commit message doesn't follow the ${pattern} convention.${exampleText}`,
+        `❌ ${result.problems.map(problem => problem.message).join('\n')}${exampleText}`,
         'Open Settings'
     ).then(selection => {
         if (selection === 'Open Settings') {
@@ -291,28 +176,11 @@ function showCommitValidationError(message, pattern) {
  * Remove git hooks installed by this extension
  */
 function removeGitHooks(workspacePath) {
-    const hooksDir = path.join(workspacePath, '.git', 'hooks');
-    const preCommitHook = path.join(hooksDir, 'pre-commit');
-    const commitMsgHook = path.join(hooksDir, 'commit-msg');
-    const postCheckoutHook = path.join(hooksDir, 'post-checkout');
-    const prePushHook = path.join(hooksDir, 'pre-push');
-    
     try {
-        // Check if hooks exist and contain our extension signature before removing
-        const extensionSignature = '# VS Code Validate Branch Extension';
-        
-        [preCommitHook, commitMsgHook, postCheckoutHook, prePushHook].forEach(hookPath => {
-            if (fs.existsSync(hookPath)) {
-                try {
-                    const content = fs.readFileSync(hookPath, 'utf8');
-                    if (content.includes(extensionSignature)) {
-                        fs.unlinkSync(hookPath);
-                        console.log(`Removed git hook: ${path.basename(hookPath)}`);
-                    }
-                } catch (error) {
-                    console.error(`Failed to remove hook ${hookPath}:`, error.message);
-                }
-            }
+        // Only the extension's block is removed; hooks it was shared with or chained to are kept
+        const outcomes = gitHooks.removeHooks(gitHooks.resolveGitPaths(workspacePath));
+        Object.keys(outcomes).forEach(hookPath => {
+            console.log(`Removed git hook: ${hookPath} (${outcomes[hookPath]})`);
         });
         
         console.log('Git hooks cleanup completed');
@@ -322,133 +190,60 @@ function removeGitHooks(workspacePath) {
 }
 
 /**
- * Install git hooks that validate terminal commands
+ * Compare a folder's installed hooks with the ones its settings generate now.
+ * `status` is null when no hooks are installed (see checkInstalledHooks).
  */
-function installGitHooks(workspacePath) {
-    const hooksDir = path.join(workspacePath, '.git', 'hooks');
-    const preCommitHook = path.join(hooksDir, 'pre-commit');
-    const commitMsgHook = path.join(hooksDir, 'commit-msg');
-    const postCheckoutHook = path.join(hooksDir, 'post-checkout');
-    const prePushHook = path.join(hooksDir, 'pre-push');
-    
-    const config = getHookConfig(workspacePath);
-    
-    // Pre-commit hook - validates branch name before commit
-    const preCommitContent = `#!/bin/sh
-# VS Code Validate Branch Extension - Pre-commit hook
-# This hook validates the current branch name before allowing commits
-
-${config.enableBranchValidation ? generateBranchValidationScript(config) : ''}
-
-if [ "${config.enableBranchValidation}" = "true" ]; then
-    current_branch=$(git branch --show-current 2>/dev/null || git rev-parse --abbrev-ref HEAD 2>/dev/null)
-    
-    if [ -n "$current_branch" ] && [ "$current_branch" != "HEAD" ]; then
-        if ! validate_branch_name "$current_branch"; then
-            echo ""
-            echo "💡 Tip: Use 'Validate Branch: Create New Branch' command in VS Code for guided branch creation."
-            echo "💡 Or rename this branch: git branch -m <new-valid-name>"
-            exit 1
-        fi
-    fi
-fi
-
-echo "✅ Branch name validation passed"
-`;
-
-    // Commit message hook - validates commit message format
-    const commitMsgContent = `#!/bin/sh
-# VS Code Validate Branch Extension - Commit message hook
-# This hook validates commit messages
-
-${config.enableCommitValidation ? generateCommitValidationScript(config) : ''}
-
-if [ "${config.enableCommitValidation}" = "true" ]; then
-    commit_message=$(cat "$1")
-    
-    if ! validate_commit_message "$commit_message"; then
-        echo ""
-        echo "💡 Tip: Use 'Validate Branch: Create Commit' command in VS Code for guided commit creation."
-        exit 1
-    fi
-fi
-
-echo "✅ Commit message validation passed"
-`;
-
-    // Pre-push hook - validates branch name before pushing
-    const prePushContent = `#!/bin/sh
-# VS Code Validate Branch Extension - Pre-push hook
-# This hook validates branch names before they are pushed to remote
-
-${config.enableBranchValidation ? generateBranchValidationScript(config) : ''}
-
-if [ "${config.enableBranchValidation}" = "true" ]; then
-    # Read from stdin: local_ref local_sha remote_ref remote_sha
-    while read local_ref local_sha remote_ref remote_sha; do
-        # Extract branch name from ref
-        if [ "$local_ref" != "(delete)" ]; then
-            branch_name=$(echo "$local_ref" | sed 's/refs\/heads\///')
-            
-            if [ -n "$branch_name" ]; then
-                if ! validate_branch_name "$branch_name"; then
-                    echo ""
-                    echo "💡 Tip: Rename your branch before pushing: git branch -m <new-valid-name>"
-                    echo "💡 Or use 'Validate Branch: Create New Branch' command in VS Code for guided branch creation."
-                    exit 1
-                fi
-            fi
-        fi
-    done
-fi
-
-echo "✅ Branch name validation passed for push"
-`;
-
-    // Post-checkout hook - warns about invalid branch names after checkout/creation
-    const postCheckoutContent = `#!/bin/sh
-# VS Code Validate Branch Extension - Post-checkout hook
-# This hook warns about invalid branch names after checkout or branch creation
-
-${config.enableBranchValidation ? generateBranchValidationScript(config) : ''}
+function inspectGitHooks(workspacePath) {
+    const config = getConfig(workspacePath);
+    const paths = gitHooks.resolveGitPaths(workspacePath);
+    const manager = config.hookManager === 'auto' ? gitHooks.detectHookManager(paths) : config.hookManager;
+    const hooks = buildHookScripts(getSettings(workspacePath), manager);
+    return { config, paths, manager, hooks, status: checkInstalledHooks(paths, manager, hooks) };
+}
 
-# Arguments: previous_head new_head branch_flag
-previous_head=$1
-new_head=$2
-branch_flag=$3
+/**
+ * Rewrite a folder's installed hooks when they are out of date and autoUpdateHooks is on
+ */
+function syncGitHooks(workspacePath) {
+    try {
+        const { config, paths, manager, hooks, status } = inspectGitHooks(workspacePath);
+        if (!status || !status.stale || !config.autoUpdateHooks) {
+            return;
+        }
+        // Hooks of the previous manager would otherwise keep running next to the new ones
+        if (status.manager !== manager) {
+            gitHooks.removeHooks(paths);
+        }
+        gitHooks.installHooks(paths, manager, hooks, HOOK_RUNNER_PATH);
+        vscode.window.showInformationMessage(`🔄 Git hooks of "${path.basename(workspacePath)}" updated to the current settings`);
+    } catch (error) {
+        console.error('Failed to update git hooks:', error.message);
+    }
+}
 
-# Only validate if this is a branch checkout (branch_flag = 1)
-if [ "$branch_flag" = "1" ] && [ "${config.enableBranchValidation}" = "true" ]; then
-    current_branch=$(git branch --show-current 2>/dev/null || git rev-parse --abbrev-ref HEAD 2>/dev/null)
-    
-    if [ -n "$current_branch" ] && [ "$current_branch" != "HEAD" ]; then
-        if ! validate_branch_name "$current_branch"; then
-            echo ""
-            echo "⚠️  WARNING: Branch name '$current_branch' doesn't follow naming conventions!"
-            echo "💡 This branch will be blocked from commits and pushes until renamed."
-            echo "💡 To rename: git branch -m <new-valid-name>"
-            echo "💡 Or use 'Validate Branch: Create New Branch' command in VS Code for guided branch creation."
-            echo ""
-        else
-            echo "✅ Branch name follows ${config.branchPattern} convention"
-        fi
-    fi
-fi
-`;
+/**
+ * Install git hooks that validate terminal commands
+ */
+function installGitHooks(workspacePath) {
+    // The hooks read the repository config file themselves; editor settings are baked in as the fallback (not into Husky's shared hooks)
+    const settings = getSettings(workspacePath);
+    const config = getConfig(workspacePath);
     
     try {
-        if (!fs.existsSync(hooksDir)) {
-            fs.mkdirSync(hooksDir, { recursive: true });
-        }
+        // Hooks go where git (or the repository's hook manager) really runs them from
+        const paths = gitHooks.resolveGitPaths(workspacePath);
+        const manager = config.hookManager === 'auto' ? gitHooks.detectHookManager(paths) : config.hookManager;
         
-        // Write hooks with executable permissions
-        fs.writeFileSync(preCommitHook, preCommitContent, { mode: 0o755 });
-        fs.writeFileSync(commitMsgHook, commitMsgContent, { mode: 0o755 });
-        fs.writeFileSync(postCheckoutHook, postCheckoutContent, { mode: 0o755 });
-        fs.writeFileSync(prePushHook, prePushContent, { mode: 0o755 });
+        // Existing hooks are kept: shell hooks share their file, others are chained to
+        const { dir, outcomes } = gitHooks.installHooks(paths, manager, buildHookScripts(settings, manager), HOOK_RUNNER_PATH);
+        const kept = Object.keys(outcomes).filter(name => outcomes[name] === 'shared' || outcomes[name] === 'chained');
+        const keptText = kept.length > 0 ? ` Existing hooks still run: ${kept.join(', ')}.` : '';
+        const whereText = manager === 'lefthook'
+            ? ` Added to ${path.basename(gitHooks.getLefthookLocalConfig(paths))}.`
+            : ` Location: ${path.relative(paths.topLevel, dir) || dir}.`;
         
         vscode.window.showInformationMessage(
-            '✅ Git hooks installed successfully! Terminal git commands will now be validated.',
+            `✅ Git hooks installed successfully! Terminal git commands will now be validated.${whereText}${keptText}`,
             'Test Branch Creation',
             'Test Commit'
         ).then(selection => {
@@ -458,7 +253,7 @@ fi
                 );
             } else if (selection === 'Test Commit') {
                 vscode.window.showInformationMessage(
-                    'Try: git commit -m "invalid message"\nThen: git commit -m "[APC-2356] feat(auth): Add Login Functionality"'
+                    `Try: git commit -m "invalid message"\nThen: git commit -m "${rules.getCommitExamples(config)[0] || 'a message matching your pattern'}"`
                 );
             }
         });
@@ -488,27 +283,30 @@ function activate(context) {
             statusBarItem.tooltip = "No workspace folder found";
             statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
         } else {
-            // Check if git hooks are installed
-            const hooksDir = path.join(workspacePath, '.git', 'hooks');
-            const preCommitHook = path.join(hooksDir, 'pre-commit');
-            const extensionSignature = '# VS Code Validate Branch Extension';
+            // Name the repository in focus when the workspace has several
+            const folders = vscode.workspace.workspaceFolders;
+            const folderName = folders.length > 1 ? ` · ${path.basename(workspacePath)}` : '';
             
-            let hooksInstalled = false;
-            if (fs.existsSync(preCommitHook)) {
-                try {
-                    const content = fs.readFileSync(preCommitHook, 'utf8');
-                    hooksInstalled = content.includes(extensionSignature);
-                } catch (error) {
-                    // Ignore error, hooks not installed
-                }
+            // Check if git hooks are installed, wherever git or the hook manager runs them from, and still match the settings
+            let hooks = null;
+            try {
+                hooks = inspectGitHooks(workspacePath).status;
+            } catch (error) {
+                // Ignore error, hooks not installed
             }
             
-            if (hooksInstalled) {
-                statusBarItem.text = "$(check-all) VB: Active";
+            statusBarItem.command = 'validate-branch.openSettings';
+            if (hooks && hooks.stale) {
+                statusBarItem.text = `$(warning) VB: Hooks Outdated${folderName}`;
+                statusBarItem.tooltip = `Git hooks (${hooks.version ? `version ${hooks.version}` : 'an earlier version'}) no longer match the settings\nClick to reinstall them`;
+                statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+                statusBarItem.command = 'validate-branch.installGitHooks';
+            } else if (hooks) {
+                statusBarItem.text = `$(check-all) VB: Active${folderName}`;
                 statusBarItem.tooltip = "Git hooks installed - Branch and commit validation active\nClick to open settings";
                 statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.prominentBackground');
             } else {
-                statusBarItem.text = "$(circle-outline) VB: Ready";
+                statusBarItem.text = `$(circle-outline) VB: Ready${folderName}`;
                 statusBarItem.tooltip = "Extension loaded - Click to install git hooks or open settings";
                 statusBarItem.backgroundColor = undefined;
             }
@@ -519,29 +317,71 @@ function activate(context) {
     // Initial status bar update
     updateStatusBar();
     
-    // Update status bar when workspace folders change
+    // Update status bar when workspace folders change or another repository comes into focus
     const workspaceWatcher = vscode.workspace.onDidChangeWorkspaceFolders(() => {
         updateStatusBar();
     });
+    const editorWatcher = vscode.window.onDidChangeActiveTextEditor(() => {
+        updateStatusBar();
+    });
     
-    context.subscriptions.push(statusBarItem, workspaceWatcher);
+    // Rewrite installed hooks when the settings or the repository config file change
+    const settingsWatcher = vscode.workspace.onDidChangeConfiguration(event => {
+        if (!event.affectsConfiguration('validateBranch')) {
+            return;
+        }
+        configCache.clear();
+        (vscode.workspace.workspaceFolders || [])
+            .filter(folder => event.affectsConfiguration('validateBranch', folder.uri))
+            .forEach(folder => syncGitHooks(folder.uri.fsPath));
+        updateStatusBar();
+    });
+    // Workspace manifests anywhere count too: scopesFromPackages reads them
+    const configFileWatcher = vscode.workspace.createFileSystemWatcher(`**/{${configLoader.CONFIG_SOURCE_FILES.join(',')}}`);
+    const onConfigFile = uri => {
+        configCache.fileChanged(uri.fsPath);
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (folder && path.dirname(uri.fsPath) === folder.uri.fsPath) {
+            syncGitHooks(folder.uri.fsPath);
+            updateStatusBar();
+        }
+    };
+    configFileWatcher.onDidChange(onConfigFile);
+    configFileWatcher.onDidCreate(onConfigFile);
+    configFileWatcher.onDidDelete(onConfigFile);
+    
+    // Hooks installed by an earlier version call a hook runner that may be gone after an update
+    (vscode.workspace.workspaceFolders || []).forEach(folder => syncGitHooks(folder.uri.fsPath));
+    updateStatusBar();
+    
+    context.subscriptions.push(statusBarItem, workspaceWatcher, editorWatcher, settingsWatcher, configFileWatcher);
+    
+    // Check that ticket keys exist in the configured issue tracker
+    const ticketTracker = registerTicketTracker(context, getConfig);
     
     // Register command to validate current branch
     const validateCurrentBranch = vscode.commands.registerCommand('validate-branch.validateCurrentBranch', async function () {
-        const workspacePath = getWorkspacePath();
+        const workspacePath = await pickWorkspacePath();
         if (!workspacePath) {
-            vscode.window.showErrorMessage('No workspace folder found');
             return;
         }
         
         try {
-            const currentBranch = await executeGitCommand('git branch --show-current', workspacePath);
-            const config = getConfig();
+            const currentBranch = await createGit(workspacePath)('branch', '--show-current');
+            const config = getConfig(workspacePath);
             
-            if (validateBranchName(currentBranch, config.branchPattern)) {
-                vscode.window.showInformationMessage(`✅ Branch "${currentBranch}" follows the ${config.branchPattern} convention`);
+            const result = rules.validateBranchName(currentBranch, config);
+            const refusal = result.valid && !result.exempt ? await ticketTracker.checkTicket(currentBranch, workspacePath) : null;
+            if (result.exempt) {
+                vscode.window.showInformationMessage(`✅ Branch "${currentBranch}" is ${rules.isProtectedBranch(currentBranch, config) ? 'protected' : 'exempt'}; its name is not checked`);
+            } else if (!validateBranchName(currentBranch, config)) {
+                showBranchValidationError(currentBranch, config);
+            } else if (refusal) {
+                vscode.window.showErrorMessage(`❌ Branch "${currentBranch}": ${refusal}`);
+            } else if (result.warnings.length > 0) {
+                showBranchValidationWarning(currentBranch, result);
             } else {
-                showBranchValidationError(currentBranch, config.branchPattern);
+                vscode.window.showInformationMessage(`✅ Branch "${currentBranch}" follows the ${rules.getBranchRule(config).convention} convention`);
             }
         } catch (error) {
             vscode.window.showErrorMessage(`Error: ${error.message}`);
@@ -550,81 +390,122 @@ function activate(context) {
     
     // Register command to create new branch with validation
     const createBranch = vscode.commands.registerCommand('validate-branch.createBranch', async function () {
-        const workspacePath = getWorkspacePath();
+        const workspacePath = await pickWorkspacePath();
         if (!workspacePath) {
-            vscode.window.showErrorMessage('No workspace folder found');
             return;
         }
         
-        const config = getConfig();
+        const config = getConfig(workspacePath);
         if (!config.enableBranchValidation) {
             vscode.window.showInformationMessage('Branch validation is disabled');
             return;
         }
         
-        const branchName = await vscode.window.showInputBox({
-            prompt: `Enter branch name (${config.branchPattern} convention)`,
-            placeHolder: getBranchExamples(config.branchPattern)[0] || 'feature/APC-2876-user-auth'
-        });
+        // The wizard only resolves names that pass validateBranchName
+        const git = createGit(workspacePath);
+        const branchName = await runBranchWizard(config, git, await ticketTracker.getTracker(workspacePath));
         
         if (!branchName) {
             return;
         }
         
-        if (!validateBranchName(branchName, config.branchPattern)) {
-            showBranchValidationError(branchName, config.branchPattern);
+        const refusal = await ticketTracker.checkTicket(branchName, workspacePath);
+        if (refusal) {
+            vscode.window.showErrorMessage(`❌ Branch "${branchName}" not created: ${refusal}`);
             return;
         }
         
         try {
-            await executeGitCommand(`git checkout -b ${branchName}`, workspacePath);
+            await git('checkout', '-b', branchName);
             vscode.window.showInformationMessage(`✅ Branch "${branchName}" created successfully!`);
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to create branch: ${error.message}`);
         }
     });
     
+    // Register command to rename the current branch to a valid name
+    const fixBranchName = vscode.commands.registerCommand('validate-branch.fixBranchName', async function () {
+        const workspacePath = await pickWorkspacePath();
+        if (!workspacePath) {
+            return;
+        }
+        
+        try {
+            await runBranchRename(getConfig(workspacePath), createGit(workspacePath), await ticketTracker.getTracker(workspacePath));
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error: ${error.message}`);
+        }
+    });
+    
     // Register command to validate commit message
     const validateCommit = vscode.commands.registerCommand('validate-branch.validateCommit', async function () {
-        const config = getConfig();
+        const workspacePath = await pickWorkspacePath();
+        if (!workspacePath) {
+            return;
+        }
+        
+        const config = getConfig(workspacePath);
         if (!config.enableCommitValidation) {
             vscode.window.showInformationMessage('Commit validation is disabled');
             return;
         }
         
-        const commitMessage = await vscode.window.showInputBox({
-            prompt: `Enter commit message (${config.commitPattern} convention)`,
-            placeHolder: getCommitExamples(config.commitPattern)[0] || '[APC-2356] feat(auth): Add Login Functionality'
-        });
+        const git = createGit(workspacePath);
+        const currentBranch = await git('branch', '--show-current').catch(() => '');
+        const blocked = rules.checkProtectedBranch(currentBranch, 'commit', config);
+        if (blocked) {
+            vscode.window.showErrorMessage(`❌ ${blocked}`);
+            return;
+        }
         
+        const commitMessage = await runCommitComposer(config, git, await ticketTracker.getTracker(workspacePath));
         if (!commitMessage) {
             return;
         }
         
-        if (!validateCommitMessage(commitMessage, config.commitPattern)) {
-            showCommitValidationError(commitMessage, config.commitPattern);
+        const stagedFiles = config.checkScopeFiles ? await listStagedFiles(workspacePath).catch(() => undefined) : undefined;
+        const result = validateCommitMessage(commitMessage, config, stagedFiles);
+        if (!result.valid) {
+            showCommitValidationError(result, config);
             return;
         }
         
-        const workspacePath = getWorkspacePath();
-        if (!workspacePath) {
-            vscode.window.showErrorMessage('No workspace folder found');
+        const refusal = await ticketTracker.checkTicket(commitMessage, workspacePath);
+        if (refusal) {
+            vscode.window.showErrorMessage(`❌ Commit blocked: ${refusal}`);
             return;
         }
         
         try {
-            await executeGitCommand(`git commit -m "${commitMessage}"`, workspacePath);
-            vscode.window.showInformationMessage(`✅ Commit created successfully!`);
+            await commitWithMessage(commitMessage, workspacePath);
+            if (result.warnings.length > 0) {
+                vscode.window.showWarningMessage(`⚠️ Commit created with warnings:\n${result.warnings.map(warning => warning.message).join('\n')}`);
+            } else {
+                vscode.window.showInformationMessage(`✅ Commit created successfully!`);
+            }
         } catch (error) {
             vscode.window.showErrorMessage(`Failed to commit: ${error.message}`);
         }
     });
     
+    // Register command to reword unpushed commits that break the commit rules
+    const fixCommitMessages = vscode.commands.registerCommand('validate-branch.fixCommitMessages', async function () {
+        const workspacePath = await pickWorkspacePath();
+        if (!workspacePath) {
+            return;
+        }
+        
+        try {
+            await runCommitReword(getConfig(workspacePath), createGit(workspacePath));
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error: ${error.message}`);
+        }
+    });
+    
     // Register command to install git hooks
-    const installHooks = vscode.commands.registerCommand('validate-branch.installGitHooks', function () {
-        const workspacePath = getWorkspacePath();
+    const installHooks = vscode.commands.registerCommand('validate-branch.installGitHooks', async function () {
+        const workspacePath = await pickWorkspacePath();
         if (!workspacePath) {
-            vscode.window.showErrorMessage('No workspace folder found');
             return;
         }
         
@@ -634,10 +515,9 @@ function activate(context) {
     });
     
     // Register command to remove git hooks
-    const removeHooks = vscode.commands.registerCommand('validate-branch.removeGitHooks', function () {
-        const workspacePath = getWorkspacePath();
+    const removeHooks = vscode.commands.registerCommand('validate-branch.removeGitHooks', async function () {
+        const workspacePath = await pickWorkspacePath();
         if (!workspacePath) {
-            vscode.window.showErrorMessage('No workspace folder found');
             return;
         }
         
@@ -652,11 +532,27 @@ function activate(context) {
         vscode.commands.executeCommand('workbench.action.openSettings', 'validateBranch');
     });
     
+    // Lint the Source Control input box as the user types
+    registerScmInputLinting(context, getConfig, getWorkspacePath, ticketTracker.checkTicket);
+    
+    // Lint COMMIT_EDITMSG and rebase todo lists when git opens them in the editor
+    registerCommitFileLinting(context, getConfig, getWorkspacePath);
+    
+    // Audit all branches and a range of commits into the Validation Audit view
+    registerAuditView(context, getConfig, pickWorkspacePath, createGit);
+    
+    // Start the Source Control input box with the branch's ticket key
+    registerScmTicketPrefill(context, getConfig).catch(error => {
+        console.error('Failed to set up ticket prefill:', error.message);
+    });
+    
     // Add all commands to subscriptions
     context.subscriptions.push(
         validateCurrentBranch,
         createBranch,
+        fixBranchName,
         validateCommit,
+        fixCommitMessages,
         installHooks,
         removeHooks,
         openSettings
@@ -688,15 +584,8 @@ function deactivate() {
         console.log('Status bar item removed and disposed');
     }
     
-    // Clean up git hooks from all workspace folders
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (workspaceFolders && workspaceFolders.length > 0) {
-        workspaceFolders.forEach(folder => {
-            const workspacePath = folder.uri.fsPath;
-            console.log(`Cleaning up git hooks for workspace: ${workspacePath}`);
-            removeGitHooks(workspacePath);
-        });
-    }
+    // Installed git hooks stay: they keep terminal commands checked while VS Code is
+    // closed and are shared with the command line tool and Husky. "Remove Git Hooks" removes them.
     
     console.log('Validate Branch extension deactivated and cleaned up successfully');
 }
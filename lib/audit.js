@@ -0,0 +1,191 @@
+/**
+ * Repository audit: checks every local and remote branch name and the commit
+ * messages in a range against the configured rules, and reports each
+ * violation with the rule it broke. Leads run it before turning enforcement
+ * on; the report can be exported as JSON or Markdown.
+ *
+ * Collecting takes a `git(...args)` function that runs git with the arguments
+ * and resolves its output, the same way the wizards talk to git.
+ */
+
+const rules = require('./rules');
+const { hasBypassTrailer } = require('./bypass');
+
+// Field and record separators in the `git log` output parsed by parseLog
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+// `git log --format` read by parseLog: hash, author name, message, author email, committer name and email
+const LOG_FORMAT = '%H%x1f%an%x1f%B%x1f%ae%x1f%cn%x1f%ce%x1e';
+
+// Revision ranges accepted from the user, e.g. origin/main..HEAD or v1.2.0...HEAD;
+// a leading dash would be read by git as an option
+const RANGE_PATTERN = /^[\w./@{}~^][\w./@{}~^-]*(\.{2,3}[\w./@{}~^-]+)?$/;
+
+/**
+ * Parse `git for-each-ref --format=%(refname)` output into branches.
+ * Remote branches are named without their remote; symbolic remote HEADs are skipped.
+ */
+function parseBranchRefs(output) {
+    return output.split('\n').filter(Boolean).map(ref => {
+        if (ref.startsWith('refs/heads/')) {
+            const name = ref.slice('refs/heads/'.length);
+            return { ref: name, name, remote: false };
+        }
+        const short = ref.replace(/^refs\/remotes\//, '');
+        return { ref: short, name: short.slice(short.indexOf('/') + 1), remote: true };
+    }).filter(branch => branch.name !== 'HEAD');
+}
+
+/**
+ * Parse `git log --format=<LOG_FORMAT>` output into commits
+ */
+function parseLog(output) {
+    return output.split(RECORD_SEPARATOR).map(record => record.replace(/^\n/, '')).filter(Boolean).map(record => {
+        const [sha, author, message, authorEmail = '', committer = '', committerEmail = ''] = record.split(FIELD_SEPARATOR);
+        return { sha, author, authorEmail, committer, committerEmail, message: message.replace(/\n+$/, '') };
+    });
+}
+
+/**
+ * Author and committer of a parsed commit as "Name <email>", for the ignoredAuthors setting
+ */
+function getIdentities(commit) {
+    return {
+        author: `${commit.author} <${commit.authorEmail}>`,
+        committer: commit.committer ? `${commit.committer} <${commit.committerEmail}>` : undefined
+    };
+}
+
+/**
+ * Problems and warnings of a validation result, each with its severity
+ */
+function withSeverities(result) {
+    return [
+        ...result.problems.map(problem => ({ ...problem, severity: 'error' })),
+        ...result.warnings.map(warning => ({ ...warning, severity: 'warning' }))
+    ];
+}
+
+/**
+ * Violations of the branch rules, one per problem or warning
+ */
+function auditBranches(branches, config) {
+    const violations = [];
+    branches.forEach(branch => {
+        const result = rules.validateBranchName(branch.name, config);
+        withSeverities(result).forEach(problem => {
+            violations.push({ ref: branch.ref, rule: problem.rule, severity: problem.severity, message: problem.message });
+        });
+    });
+    return violations;
+}
+
+/**
+ * Violations of the commit rules, one per problem or warning
+ */
+function auditCommits(commits, config) {
+    const violations = [];
+    commits.forEach(commit => {
+        const result = rules.validateCommitMessage(commit.message, config, getIdentities(commit));
+        withSeverities(result).forEach(problem => {
+            violations.push({
+                sha: commit.sha,
+                author: commit.author,
+                subject: commit.message.split('\n')[0],
+                rule: problem.rule,
+                severity: problem.severity,
+                message: problem.message,
+                line: problem.line
+            });
+        });
+    });
+    return violations;
+}
+
+/**
+ * Audit the repository. `commits` is { range } (e.g. 'origin/main..HEAD') or
+ * { count } for the last N commits. Commits matching the ignore settings
+ * (by default the merges, reverts and fixups git writes) are skipped.
+ */
+async function runAudit(git, config, commits) {
+    if (commits.range && !RANGE_PATTERN.test(commits.range)) {
+        throw new Error(`Invalid revision range: ${commits.range}`);
+    }
+    const branches = parseBranchRefs(await git('for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes'));
+    const revisions = commits.range ? [commits.range] : ['-n', String(commits.count), 'HEAD'];
+    const log = parseLog(await git('log', `--format=${LOG_FORMAT}`, ...revisions, '--'));
+
+    return {
+        generatedAt: new Date().toISOString(),
+        branchConvention: rules.getBranchRule(config).convention,
+        commitConvention: rules.getCommitRule(config).convention,
+        range: commits.range || `last ${commits.count} commits`,
+        branches: { checked: branches.length, violations: auditBranches(branches, config) },
+        commits: {
+            checked: log.length,
+            bypassed: log.filter(commit => hasBypassTrailer(commit.message)).length,
+            violations: auditCommits(log, config)
+        }
+    };
+}
+
+/**
+ * Export a report as JSON
+ */
+function toJson(report) {
+    return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Export a report as Markdown tables
+ */
+function toMarkdown(report) {
+    const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const table = (headers, rows) => [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ];
+    const summary = (section, noun) => `${section.violations.length} violation(s) in ${section.checked} ${noun}`;
+    const rule = violation => (violation.severity === 'warning' ? `${violation.rule} (warning)` : violation.rule);
+
+    const lines = [
+        '# Validation Audit',
+        '',
+        ...(report.repository ? [`- Repository: ${report.repository}`] : []),
+        `- Branch convention: ${report.branchConvention}`,
+        `- Commit convention: ${report.commitConvention}`,
+        `- Commits: ${report.range}`,
+        ...(report.commits.bypassed ? [`- Commits made with a validation bypass: ${report.commits.bypassed}`] : []),
+        `- Generated: ${report.generatedAt}`,
+        '',
+        `## Branches: ${summary(report.branches, 'branches')}`,
+        ''
+    ];
+    if (report.branches.violations.length > 0) {
+        lines.push(...table(['Branch', 'Rule', 'Problem'],
+            report.branches.violations.map(violation => [`\`${violation.ref}\``, rule(violation), violation.message])), '');
+    }
+    lines.push(`## Commits: ${summary(report.commits, 'commits')}`, '');
+    if (report.commits.violations.length > 0) {
+        lines.push(...table(['Commit', 'Author', 'Subject', 'Rule', 'Problem'],
+            report.commits.violations.map(violation => [
+                `\`${violation.sha.slice(0, 8)}\``, violation.author, violation.subject, rule(violation), violation.message
+            ])), '');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    RANGE_PATTERN,
+    LOG_FORMAT,
+    parseBranchRefs,
+    parseLog,
+    getIdentities,
+    auditBranches,
+    auditCommits,
+    runAudit,
+    toJson,
+    toMarkdown
+};
@@ -0,0 +1,93 @@
+/**
+ * Audited escape hatch for the git hooks. With allowBypass on, a commit whose
+ * message contains [skip-validate], or any git command run with
+ * VALIDATE_BRANCH_SKIP set, gets through checks that would block it. Unlike
+ * `--no-verify` the other hooks still run, every check let through is
+ * appended to a log in the git directory and, with bypassTrailer on, the
+ * commit records it in a Validation-Bypassed trailer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { stripMessage, parseCommitMessage } = require('./commit-message');
+
+// Environment variable letting the checks of one git command through; its value can give the reason
+const BYPASS_ENV = 'VALIDATE_BRANCH_SKIP';
+
+// Commit message marker letting one commit through; it is removed from the message
+const BYPASS_MARKER = '[skip-validate]';
+
+// Trailer added to commits made with a bypass
+const BYPASS_TRAILER = 'Validation-Bypassed';
+
+// Log of bypasses in the common git directory, one JSON object per line
+const LOG_FILE = 'validate-branch-bypass.log';
+
+/**
+ * Bypass asked for by the environment or the commit message:
+ * { via, reason } where via is the variable or the marker, or null
+ */
+function getRequestedBypass(env, message) {
+    const value = (env[BYPASS_ENV] || '').trim();
+    if (value && value !== '0' && value !== 'false') {
+        return { via: BYPASS_ENV, reason: value === '1' || value === 'true' ? '' : value };
+    }
+    if (message !== undefined && stripMessage(message).some(line => line.text.includes(BYPASS_MARKER))) {
+        return { via: BYPASS_MARKER, reason: '' };
+    }
+    return null;
+}
+
+/**
+ * Remove the marker, and the spaces it leaves behind, from the first line holding it
+ */
+function removeMarker(message, commentChar = '#') {
+    const lines = message.split('\n');
+    const index = lines.findIndex(line => !line.startsWith(commentChar) && line.includes(BYPASS_MARKER));
+    if (index === -1) {
+        return message;
+    }
+    const [before, ...after] = lines[index].split(BYPASS_MARKER);
+    const rest = after.join(BYPASS_MARKER);
+    lines[index] = before.trim() && rest.trim() ? `${before.replace(/\s+$/, '')} ${rest.replace(/^\s+/, '')}` : `${before}${rest}`.trim();
+    return lines.join('\n');
+}
+
+/**
+ * Append a bypass to the log and return the log's path
+ */
+function recordBypass(commonDir, entry) {
+    const logFile = path.join(commonDir, LOG_FILE);
+    fs.appendFileSync(logFile, `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`);
+    return logFile;
+}
+
+/**
+ * Add the bypass trailer to a commit message file, keeping git's comments and scissors section
+ */
+function addBypassTrailer(messageFile, bypass, cwd) {
+    const value = bypass.reason ? `${bypass.via} (${bypass.reason})` : bypass.via;
+    execFileSync('git', ['interpret-trailers', '--in-place', '--trailer', `${BYPASS_TRAILER}: ${value}`, messageFile], {
+        cwd,
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+}
+
+/**
+ * Whether a commit message carries the bypass trailer
+ */
+function hasBypassTrailer(message) {
+    return parseCommitMessage(message).footers.some(footer => footer.token === BYPASS_TRAILER);
+}
+
+module.exports = {
+    BYPASS_ENV,
+    BYPASS_MARKER,
+    BYPASS_TRAILER,
+    getRequestedBypass,
+    removeMarker,
+    recordBypass,
+    addBypassTrailer,
+    hasBypassTrailer
+};
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * Command line tool running the extension's checks without VS Code, e.g. in CI.
+ *
+ *   validate-branch check-branch [name]
+ *   validate-branch check-commit <message-file|->
+ *   validate-branch check-range <revision-range>
+ *   validate-branch install-hooks
+ *
+ * Checks accept --format text|json|junit|github. The configuration is the same
+ * as the extension's: .vscode/settings.json overridden by the repository config
+ * file, both read from the top of the repository. Exits with 0 when everything
+ * passes, 1 when there are violations and 2 on usage, configuration or git errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const rules = require('./rules');
+const configLoader = require('./config');
+const gitHooks = require('./git-hooks');
+const audit = require('./audit');
+const { HOOK_RUNNER_PATH, buildHookScripts } = require('./hook-scripts');
+const { runGitSync } = require('./git');
+
+const USAGE = `Usage: validate-branch <command> [options]
+
+Commands:
+  check-branch [name]           Check a branch name (default: the current branch)
+  check-commit <file|->         Check a commit message file, or stdin with -
+  check-range <revision-range>  Check the commits of a range, e.g. origin/main..HEAD
+  install-hooks                 Install the git hooks into the current repository
+
+Options:
+  --format <format>             text (default), json, junit or github
+  -h, --help                    Show this help`;
+
+const FORMATS = ['text', 'json', 'junit', 'github'];
+
+/**
+ * Error reported with exit code 2 rather than as a violation
+ */
+class UsageError extends Error {}
+
+/**
+ * Split the command line into the command, its arguments and the output format
+ */
+function parseArgs(argv) {
+    const args = [];
+    let format = 'text';
+    let help = false;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            help = true;
+        } else if (arg === '--format') {
+            format = argv[++i];
+        } else if (arg.startsWith('--format=')) {
+            format = arg.slice('--format='.length);
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else {
+            args.push(arg);
+        }
+    }
+    if (!FORMATS.includes(format)) {
+        throw new UsageError(`Unknown format: ${format}. Use one of ${FORMATS.join(', ')}`);
+    }
+    const [command, ...rest] = args;
+    return { command, args: rest, format, help };
+}
+
+/**
+ * Run git and return its trimmed output; failures are reported as usage errors
+ */
+function git(cwd, ...args) {
+    try {
+        return runGitSync(args, { cwd });
+    } catch (error) {
+        throw new UsageError(`git ${args[0]} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Top of the repository the tool runs in, or the directory itself outside of one
+ */
+function findRoot(cwd) {
+    try {
+        return git(cwd, 'rev-parse', '--show-toplevel');
+    } catch {
+        return cwd;
+    }
+}
+
+/**
+ * Turn a validation result into a check; an invalid custom pattern is a configuration error
+ */
+function toCheck(kind, id, title, result, file) {
+    if (result.error) {
+        throw new UsageError(result.error);
+    }
+    return { kind, id, title, file, valid: result.valid, ignored: result.ignored, problems: result.problems, warnings: result.warnings };
+}
+
+function checkBranch(args, config, root) {
+    const name = args[0] || git(root, 'branch', '--show-current');
+    if (!name) {
+        throw new UsageError('No branch is checked out; pass the branch name');
+    }
+    return [toCheck('branch', name, name, rules.validateBranchName(name, config))];
+}
+
+function checkCommit(args, config, cwd, readStdin) {
+    if (!args[0]) {
+        throw new UsageError('check-commit needs a message file, or - to read stdin');
+    }
+    const fromStdin = args[0] === '-';
+    let message;
+    try {
+        message = fromStdin ? readStdin() : fs.readFileSync(path.resolve(cwd, args[0]), 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read ${args[0]}: ${error.message}`);
+    }
+    const file = fromStdin ? undefined : args[0];
+    const id = file || 'stdin';
+    const title = message.split('\n').find(line => line.trim() && !line.startsWith('#')) || id;
+    return [toCheck('commit', id, title, rules.validateCommitMessage(message, config), file)];
+}
+
+function checkRange(args, config, root) {
+    const range = args[0];
+    if (!range || !audit.RANGE_PATTERN.test(range)) {
+        throw new UsageError(range ? `Invalid revision range: ${range}` : 'check-range needs a revision range');
+    }
+    const commits = audit.parseLog(git(root, 'log', `--format=${audit.LOG_FORMAT}`, range, '--'));
+    return commits.map(commit => toCheck(
+        'commit', commit.sha, `${commit.sha.slice(0, 8)} ${commit.message.split('\n')[0]}`,
+        rules.validateCommitMessage(commit.message, config, audit.getIdentities(commit))
+    ));
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+/**
+ * Escape a GitHub workflow command message, or a property value when `property` is set
+ */
+function escapeGithub(text, property) {
+    const escaped = String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    return property ? escaped.replace(/:/g, '%3A').replace(/,/g, '%2C') : escaped;
+}
+
+/**
+ * Closing line of the text and GitHub output
+ */
+function summarize(checks) {
+    const failed = checks.filter(check => !check.valid).length;
+    const warned = checks.filter(check => check.warnings.length > 0).length;
+    return `${checks.length} checked, ${failed} failed${warned > 0 ? `, ${warned} with warnings` : ''}`;
+}
+
+function formatText(checks, config) {
+    const lines = [];
+    checks.forEach(check => {
+        const status = check.ignored ? '⏭️ ' : !check.valid ? '❌' : check.warnings.length > 0 ? '⚠️ ' : '✅';
+        lines.push(`${status} ${check.kind === 'branch' ? 'Branch' : 'Commit'} ${check.title}${check.ignored ? ` (skipped: ${check.ignored})` : ''}`);
+        check.problems.forEach(problem => lines.push(`   ${problem.rule}: ${problem.message}`));
+        check.warnings.forEach(warning => lines.push(`   ${warning.rule} (warning): ${warning.message}`));
+    });
+    const brokePattern = kind => checks.some(check => check.kind === kind
+        && check.problems.some(problem => problem.rule === 'branch-pattern' || problem.rule === 'header-pattern'));
+    [['branch', rules.getBranchExamples], ['commit', rules.getCommitExamples]].forEach(([kind, getExamples]) => {
+        const examples = getExamples(config);
+        if (brokePattern(kind) && examples.length > 0) {
+            lines.push('', `Valid ${kind} examples:`, ...examples.map(example => `  ${example}`));
+        }
+    });
+    lines.push('', summarize(checks));
+    return lines.join('\n');
+}
+
+function formatJson(checks) {
+    const failed = checks.filter(check => !check.valid).length;
+    return JSON.stringify({ valid: failed === 0, checked: checks.length, failed, checks }, null, 2);
+}
+
+function formatJunit(checks) {
+    const failures = list => list.filter(check => !check.valid).length;
+    const kinds = ['branch', 'commit'].filter(kind => checks.some(check => check.kind === kind));
+    const suites = kinds.map(kind => {
+        const suiteChecks = checks.filter(check => check.kind === kind);
+        const cases = suiteChecks.map(check => {
+            const name = `    <testcase classname="validate-branch.${kind}" name="${escapeXml(check.title)}"`;
+            if (check.valid) {
+                if (check.warnings.length === 0) {
+                    return `${name}/>`;
+                }
+                const warnings = check.warnings.map(warning => `warning ${warning.rule}: ${warning.message}`).join('\n');
+                return `${name}>\n      <system-out>${escapeXml(warnings)}</system-out>\n    </testcase>`;
+            }
+            const [first] = check.problems;
+            const details = check.problems.map(problem => `${problem.rule}: ${problem.message}`).join('\n');
+            return [
+                `${name}>`,
+                `      <failure type="${escapeXml(first.rule)}" message="${escapeXml(first.message)}">${escapeXml(details)}</failure>`,
+                '    </testcase>'
+            ].join('\n');
+        });
+        return [
+            `  <testsuite name="${kind === 'branch' ? 'Branch names' : 'Commit messages'}" tests="${suiteChecks.length}" failures="${failures(suiteChecks)}">`,
+            ...cases,
+            '  </testsuite>'
+        ].join('\n');
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="validate-branch" tests="${checks.length}" failures="${failures(checks)}">`,
+        ...suites,
+        '</testsuites>'
+    ].join('\n');
+}
+
+function formatGithub(checks) {
+    const lines = [];
+    const annotate = (command, check, problem) => {
+        const properties = [`title=${escapeGithub(`Validate Branch: ${problem.rule}`, true)}`];
+        if (check.file) {
+            properties.unshift(`file=${escapeGithub(check.file, true)}`, `line=${problem.line + 1}`);
+        }
+        const message = check.kind === 'branch' || check.file ? problem.message : `${check.title}: ${problem.message}`;
+        lines.push(`::${command} ${properties.join(',')}::${escapeGithub(message)}`);
+    };
+    checks.forEach(check => {
+        check.problems.forEach(problem => annotate('error', check, problem));
+        check.warnings.forEach(warning => annotate('warning', check, warning));
+    });
+    lines.push(summarize(checks));
+    return lines.join('\n');
+}
+
+const FORMATTERS = { text: formatText, json: formatJson, junit: formatJunit, github: formatGithub };
+
+/**
+ * Install the git hooks. Like the extension, they get the editor settings
+ * (.vscode/settings.json) baked in as the fallback, except Husky's shared
+ * hooks, and read the repository config file at run time, so the extension
+ * sees them as up to date.
+ */
+function installHooks(root, config, format, log) {
+    const paths = gitHooks.resolveGitPaths(root);
+    const manager = config.hookManager === 'auto' ? gitHooks.detectHookManager(paths) : config.hookManager;
+    const settings = { ...rules.DEFAULT_CONFIG, ...configLoader.readWorkspaceSettings(root).config };
+    let installed;
+    try {
+        installed = gitHooks.installHooks(paths, manager, buildHookScripts(settings, manager), HOOK_RUNNER_PATH);
+    } catch (error) {
+        throw new UsageError(`Failed to install git hooks: ${error.message}`);
+    }
+    if (format === 'json') {
+        log(JSON.stringify(installed, null, 2));
+        return 0;
+    }
+    log(`✅ Git hooks installed in ${path.relative(root, installed.dir) || installed.dir} (${manager})`);
+    Object.keys(installed.outcomes).forEach(name => log(`   ${name}: ${installed.outcomes[name]}`));
+    return 0;
+}
+
+/**
+ * Run a command and return the process exit code
+ */
+function run(argv, io = {}) {
+    const {
+        log = console.log,
+        error = console.error,
+        cwd = process.cwd(),
+        readStdin = () => fs.readFileSync(0, 'utf8')
+    } = io;
+
+    try {
+        const { command, args, format, help } = parseArgs(argv);
+        if (help || !command) {
+            (help ? log : error)(USAGE);
+            return help ? 0 : 2;
+        }
+
+        const root = findRoot(cwd);
+        const { config, warnings } = configLoader.loadConfig(root);
+        warnings.forEach(warning => error(`⚠️  ${warning}`));
+
+        if (command === 'install-hooks') {
+            return installHooks(root, config, format, log);
+        }
+
+        const checkers = {
+            'check-branch': () => checkBranch(args, config, root),
+            'check-commit': () => checkCommit(args, config, cwd, readStdin),
+            'check-range': () => checkRange(args, config, root)
+        };
+        if (!checkers[command]) {
+            throw new UsageError(`Unknown command: ${command}\n\n${USAGE}`);
+        }
+        const enabled = command === 'check-branch' ? config.enableBranchValidation : config.enableCommitValidation;
+        if (!enabled) {
+            error(`⚠️  ${command} skipped: validation is disabled in the configuration`);
+        }
+        const checks = enabled ? checkers[command]() : [];
+
+        log(FORMATTERS[format](checks, config));
+        return checks.every(check => check.valid) ? 0 : 1;
+    } catch (caught) {
+        if (!(caught instanceof UsageError)) {
+            throw caught;
+        }
+        error(`❌ ${caught.message}`);
+        return 2;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run };
@@ -0,0 +1,304 @@
+/**
+ * Building commit messages from their parts: type, scope, ticket, subject,
+ * body and footers. Used by the commit composer; kept free of 'vscode' so
+ * it can be tested like the rules.
+ */
+
+const path = require('path');
+const rules = require('./rules');
+const { matchType } = require('./naming');
+const { stripMessage, parseCommitMessage } = require('./commit-message');
+
+// Descriptions shown next to each commit type in the composer
+const TYPE_DESCRIPTIONS = {
+    feat: 'A new feature',
+    fix: 'A bug fix',
+    docs: 'Documentation only changes',
+    style: 'Formatting, white-space, missing semicolons',
+    refactor: 'A code change that neither fixes a bug nor adds a feature',
+    perf: 'A code change that improves performance',
+    test: 'Adding or correcting tests',
+    build: 'Build system or external dependencies',
+    ci: 'CI configuration and scripts',
+    chore: 'Other changes that don\'t modify source or tests',
+    revert: 'Reverts a previous commit',
+    ':sparkles:': 'Introduce new features',
+    ':bug:': 'Fix a bug',
+    ':memo:': 'Add or update documentation',
+    ':recycle:': 'Refactor code',
+    ':art:': 'Improve structure / format of the code',
+    ':zap:': 'Improve performance',
+    ':white_check_mark:': 'Add, update, or pass tests',
+    ':wrench:': 'Add or update configuration files',
+    ':arrow_up:': 'Upgrade dependencies',
+    ':fire:': 'Remove code or files',
+    ':lock:': 'Fix security or privacy issues',
+    ':rocket:': 'Deploy stuff',
+    ':boom:': 'Introduce breaking changes'
+};
+
+// Directories that group packages; the next segment is the scope
+const PACKAGE_ROOTS = ['packages', 'apps', 'libs', 'services', 'modules'];
+
+// Top-level directories too generic to be a scope on their own
+const GENERIC_DIRS = ['src', 'lib', 'source', 'app'];
+
+// Loose header shape recovered by suggestCommitFix: optional ticket, type, scope, "!" and subject
+const LOOSE_HEADER_PATTERN = /^(?:\[?([A-Za-z]+-[0-9]+)\]?:?\s+)?([A-Za-z]+)\s*(?:\(([^)]*)\))?\s*(!)?\s*:\s*(.*)$/;
+
+// Headers longer than this are shortened when they break the convention
+const LONG_HEADER_LENGTH = 50;
+
+/**
+ * Fill a commit header template such as '[{ticket}] {type}{scope}: {subject}'.
+ * {scope} renders as "(scope)" and {breaking} as "!" only when set.
+ */
+function buildCommitHeader(template, parts) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+        if (key === 'scope') {
+            return parts.scope ? `(${parts.scope})` : '';
+        }
+        if (key === 'breaking') {
+            return parts.breaking ? '!' : '';
+        }
+        return parts[key] || '';
+    });
+}
+
+/**
+ * Wrap prose to a maximum line width, keeping existing line breaks
+ */
+function wrapText(text, width) {
+    return text.split('\n').map(paragraph => {
+        const lines = [];
+        let current = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            if (current && current.length + 1 + word.length > width) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = current ? `${current} ${word}` : word;
+            }
+        });
+        lines.push(current);
+        return lines.join('\n');
+    }).join('\n');
+}
+
+/**
+ * Join header, body and footers into a full message, with blank lines between parts
+ */
+function buildCommitMessage(header, body, footers) {
+    const footerText = footers.map(footer => `${footer.token}: ${footer.value}`).join('\n');
+    return [header, body, footerText].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Scope a file path suggests: the package name under a package root, else the
+ * first meaningful directory, else the file name without its extension.
+ */
+function scopeForPath(filePath) {
+    const segments = filePath.split(/[\\/]/);
+    const fileName = segments.pop();
+    if (PACKAGE_ROOTS.includes(segments[0]) && segments[1]) {
+        return segments[1];
+    }
+    const directory = segments.find(segment => !GENERIC_DIRS.includes(segment));
+    return directory || path.basename(fileName, path.extname(fileName));
+}
+
+/**
+ * Suggest scopes, most likely first: scopes of the staged paths (from scopeMap
+ * when a glob matches), then scopes used in recent commit subjects, each
+ * ordered by how often they occur.
+ */
+function suggestScopes(stagedPaths, recentSubjects, scopeMap = {}) {
+    const rank = values => {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+    };
+    const normalize = scope => scope.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+
+    const fromStaged = rank(stagedPaths.filter(Boolean)
+        .map(stagedPath => rules.getFileScope(stagedPath, scopeMap) || normalize(scopeForPath(stagedPath)))
+        .filter(Boolean));
+    const fromHistory = rank(recentSubjects
+        .map(subject => /^(?:\[[^\]]+\] )?[\w:]+\(([^)]+)\)!?:/.exec(subject))
+        .filter(Boolean)
+        .map(match => normalize(match[1]))
+        .filter(Boolean));
+
+    return [...new Set([...fromStaged, ...fromHistory])];
+}
+
+/**
+ * Header text a template puts before the subject's type for a ticket, e.g.
+ * '[APC-12] ' for '[{ticket}] {type}{scope}: {subject}'; null when the
+ * template has no leading ticket.
+ */
+function getTicketPrefix(template, ticket) {
+    const start = template.indexOf('{ticket}');
+    if (start < 0 || template.slice(0, start).includes('{')) {
+        return null;
+    }
+    const end = template.indexOf('{', start + 1);
+    return template.slice(0, end < 0 ? undefined : end).replace('{ticket}', ticket);
+}
+
+/**
+ * Add a ticket key to a commit message or git's message template: as the
+ * header prefix when the preset's template starts with the ticket, otherwise
+ * as a "Refs:" footer, below a blank header line still to be written when the
+ * message is empty. Comment lines are left alone, and a message that already
+ * mentions the key is returned unchanged.
+ */
+function prefillTicket(message, ticket, config) {
+    const rule = rules.getCommitRule(config);
+    const kept = stripMessage(message);
+    if (!ticket || !rule.template || kept.some(line => line.text.includes(ticket))) {
+        return message;
+    }
+
+    const lines = message.split('\n');
+    const prefix = getTicketPrefix(rule.template, ticket);
+    if (prefix) {
+        const first = kept.length > 0 ? kept[0].line : lines.findIndex(line => !line.startsWith('#'));
+        if (first < 0) {
+            lines.unshift(prefix);
+        } else {
+            lines[first] = prefix + lines[first];
+        }
+        return lines.join('\n');
+    }
+
+    const allowsRefs = config.allowedTrailers.length === 0 || config.allowedTrailers.includes('Refs');
+    if (!allowsRefs) {
+        return message;
+    }
+    const footer = `Refs: ${ticket}`;
+    if (kept.length === 0) {
+        return message ? `\n\n${footer}\n${message}` : `\n\n${footer}`;
+    }
+    const hasFooters = kept.length > 1 && parseCommitMessage(message).footers.length > 0;
+    lines.splice(kept[kept.length - 1].line + 1, 0, ...(hasFooters ? [footer] : ['', footer]));
+    return lines.join('\n');
+}
+
+/**
+ * Drop a "Refs:" footer left as the only line of a message by prefillTicket, so
+ * git still aborts a commit whose message was never written instead of
+ * committing the footer alone
+ */
+function removeUnusedPrefill(message) {
+    const kept = stripMessage(message);
+    if (kept.length !== 1 || !/^Refs: [A-Z][A-Z0-9]*-[0-9]+$/.test(kept[0].text)) {
+        return message;
+    }
+    const lines = message.split('\n');
+    lines.splice(kept[0].line, 1);
+    return lines.join('\n');
+}
+
+/**
+ * Problems a header has on its own
+ */
+function headerProblems(header, config) {
+    return rules.validateCommitMessage(header, config).problems.filter(problem => problem.rule.startsWith('header-'));
+}
+
+/**
+ * Rebuild a header from its recognisable parts with the type and scope in the
+ * preset's spelling, trying the subject as written, without a trailing period
+ * and starting in lowercase. Returns null when the parts are incomplete.
+ */
+function rebuildHeader(header, rule, config, hints) {
+    const match = LOOSE_HEADER_PATTERN.exec(header);
+    const type = match && matchType(match[2], rule.types);
+    if (!type || !rule.template.includes('{type}')) {
+        return null;
+    }
+    const parts = {
+        ticket: match[1] ? match[1].toUpperCase() : hints.ticket,
+        type,
+        scope: rule.scope === 'none' ? '' : (match[3] || '').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, ''),
+        breaking: Boolean(match[4])
+    };
+    if (!parts.scope && rule.scope === 'required') {
+        parts.scope = (hints.scopes || [])[0];
+    }
+    if ((rule.template.includes('{ticket}') && !parts.ticket) || (rule.scope === 'required' && !parts.scope)) {
+        return null;
+    }
+
+    const subject = match[5].trim();
+    const lowered = subject.charAt(0).toLowerCase() + subject.slice(1);
+    const candidates = [subject, subject.replace(/\.+$/, ''), lowered, lowered.replace(/\.+$/, '')]
+        .map(text => buildCommitHeader(rule.template, { ...parts, subject: text }));
+    return candidates.find(candidate => headerProblems(candidate, config).length === 0) || candidates[0];
+}
+
+/**
+ * Drop trailing words of an over-long header until it passes; unchanged when no shorter header does
+ */
+function shortenHeader(header, config) {
+    const problems = headerProblems(header, config);
+    const tooLong = problems.some(problem => problem.rule === 'header-max-length')
+        || (problems.length > 0 && [...header].length > LONG_HEADER_LENGTH);
+    if (!tooLong) {
+        return header;
+    }
+    const words = header.split(' ');
+    for (let count = words.length - 1; count >= 2; count--) {
+        const candidate = words.slice(0, count).join(' ').replace(/[\s,;:-]+$/, '');
+        if (headerProblems(candidate, config).length === 0) {
+            return candidate;
+        }
+    }
+    return header;
+}
+
+/**
+ * Suggest a corrected version of a commit message: the type and scope in the
+ * preset's spelling and case, the ticket key from `hints.ticket` (the
+ * branch's) when it is missing, a required scope from `hints.scopes`, an
+ * over-long header shortened, a blank line after the header and body lines
+ * wrapped. Whatever cannot be corrected is left as it is.
+ */
+function suggestCommitFix(message, config, hints = {}) {
+    const options = { ...rules.DEFAULT_CONFIG, ...config };
+    const rule = rules.getCommitRule(options);
+    const parsed = parseCommitMessage(message);
+    if (!parsed.header) {
+        return message;
+    }
+
+    const rebuilt = rule.template ? rebuildHeader(parsed.header.text, rule, options, hints) : null;
+    const lines = parsed.message.split('\n');
+    lines[0] = shortenHeader(rebuilt || parsed.header.text, options);
+    if (lines.length > 1 && lines[1] !== '') {
+        lines.splice(1, 0, '');
+    }
+
+    const bodyTexts = new Set(parsed.body.map(line => line.text));
+    const width = options.bodyMaxLineLength;
+    const fixed = lines.map((line, index) => (
+        index > 0 && width > 0 && bodyTexts.has(line) && [...line].length > width ? wrapText(line, width) : line
+    )).join('\n');
+    return prefillTicket(fixed, hints.ticket, options);
+}
+
+module.exports = {
+    TYPE_DESCRIPTIONS,
+    PACKAGE_ROOTS,
+    buildCommitHeader,
+    wrapText,
+    buildCommitMessage,
+    scopeForPath,
+    suggestScopes,
+    getTicketPrefix,
+    prefillTicket,
+    removeUnusedPrefill,
+    shortenHeader,
+    suggestCommitFix
+};
@@ -0,0 +1,147 @@
+/**
+ * Commit message parsing: splits a raw message (as git hands it to the
+ * commit-msg hook or writes it to COMMIT_EDITMSG) into header, body and
+ * footers, after dropping comment lines and the scissors section the way
+ * `git commit --cleanup=strip` / `scissors` does.
+ *
+ * Every part keeps the zero-based line number it had in the raw text so
+ * callers can point at the offending line.
+ */
+
+// `git commit -v` and `--cleanup=scissors` cut everything below this line
+const SCISSORS_PATTERN = /^-+ >8 -+$/;
+
+// Trailer / footer line: `Token: value`, `Token #value` or `BREAKING CHANGE: value`
+const TRAILER_PATTERN = /^(BREAKING CHANGE|BREAKING-CHANGE|[A-Za-z][A-Za-z0-9-]*)(: | #)(.*)$/;
+
+// `reword` line of an interactive rebase todo list: command, commit and its current subject
+const REWORD_PATTERN = /^(\s*(?:reword|r)\s+([0-9a-f]{4,})\s+(?:# )?)(.*)$/;
+
+/**
+ * Drop comment lines, the scissors section and trailing whitespace; collapse
+ * runs of blank lines and trim leading/trailing ones.
+ * Returns [{ text, line }] with the raw line number of every kept line.
+ */
+function stripMessage(text, commentChar = '#') {
+    const kept = [];
+    const rawLines = text.split(/\r?\n/);
+    for (let i = 0; i < rawLines.length; i++) {
+        const raw = rawLines[i];
+        if (raw.startsWith(commentChar)) {
+            if (SCISSORS_PATTERN.test(raw.slice(commentChar.length).trim())) {
+                break;
+            }
+            continue;
+        }
+        const line = raw.replace(/\s+$/, '');
+        if (line === '' && (kept.length === 0 || kept[kept.length - 1].text === '')) {
+            continue;
+        }
+        kept.push({ text: line, line: i });
+    }
+    while (kept.length > 0 && kept[kept.length - 1].text === '') {
+        kept.pop();
+    }
+    return kept;
+}
+
+/**
+ * Split lines into paragraphs separated by blank lines
+ */
+function toParagraphs(lines) {
+    const paragraphs = [];
+    let current = [];
+    lines.forEach(line => {
+        if (line.text === '') {
+            if (current.length > 0) {
+                paragraphs.push(current);
+            }
+            current = [];
+        } else {
+            current.push(line);
+        }
+    });
+    if (current.length > 0) {
+        paragraphs.push(current);
+    }
+    return paragraphs;
+}
+
+/**
+ * Parse the last paragraph as footers when every line is a trailer or an
+ * indented continuation of one; returns null otherwise.
+ */
+function parseFooters(paragraph) {
+    const footers = [];
+    for (const line of paragraph) {
+        const match = TRAILER_PATTERN.exec(line.text);
+        if (match) {
+            footers.push({ token: match[1], value: match[3], line: line.line });
+        } else if (footers.length > 0 && /^\s/.test(line.text)) {
+            footers[footers.length - 1].value += `\n${line.text.trim()}`;
+        } else {
+            return null;
+        }
+    }
+    return footers;
+}
+
+/**
+ * Parse a commit message.
+ * Returns { header, blankLineAfterHeader, body, footers, message } where header
+ * and body entries are { text, line }, footers are { token, value, line } and
+ * message is the cleaned-up text git would store.
+ */
+function parseCommitMessage(text, commentChar = '#') {
+    const lines = stripMessage(text, commentChar);
+    const header = lines.length > 0 ? lines[0] : null;
+    const rest = lines.slice(1);
+    const blankLineAfterHeader = rest.length === 0 || rest[0].text === '';
+
+    const paragraphs = toParagraphs(rest);
+    let footers = [];
+    if (paragraphs.length > 0) {
+        const parsed = parseFooters(paragraphs[paragraphs.length - 1]);
+        if (parsed) {
+            footers = parsed;
+            paragraphs.pop();
+        }
+    }
+    const body = [];
+    paragraphs.forEach((paragraph, index) => {
+        if (index > 0) {
+            body.push({ text: '', line: paragraph[0].line - 1 });
+        }
+        body.push(...paragraph);
+    });
+
+    return {
+        header,
+        blankLineAfterHeader,
+        body,
+        footers,
+        message: lines.map(line => line.text).join('\n')
+    };
+}
+
+/**
+ * The `reword` lines of a git-rebase-todo file, as { sha, subject, line, column }
+ * where column is where the subject starts. Commented-out lines are skipped.
+ */
+function parseRebaseTodo(text, commentChar = '#') {
+    const rewords = [];
+    text.split(/\r?\n/).forEach((raw, line) => {
+        const match = raw.startsWith(commentChar) ? null : REWORD_PATTERN.exec(raw);
+        if (match) {
+            rewords.push({ sha: match[2], subject: match[3].replace(/\s+$/, ''), line, column: match[1].length });
+        }
+    });
+    return rewords;
+}
+
+module.exports = {
+    TRAILER_PATTERN,
+    stripMessage,
+    parseCommitMessage,
+    parseRebaseTodo
+};
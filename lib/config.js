@@ -0,0 +1,293 @@
+/**
+ * Configuration loading shared by the extension, the git hooks and the tests.
+ *
+ * Precedence, lowest to highest:
+ *   1. built-in defaults (rules.DEFAULT_CONFIG)
+ *   2. editor settings (validateBranch.* from VS Code, or .vscode/settings.json)
+ *   3. the repository config file (.validatebranchrc.json/.yaml/.yml or the
+ *      "validateBranch" key in package.json)
+ *
+ * The repository file wins so every clone enforces the same conventions.
+ * With scopesFromPackages the workspace packages are then added to scopeMap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const rules = require('./rules');
+const { HOOK_MANAGERS } = require('./git-hooks');
+const { TRACKERS } = require('./trackers');
+const { findPackageScopes } = require('./scopes');
+
+// Candidate repository config files, in lookup order
+const CONFIG_FILES = ['.validatebranchrc.json', '.validatebranchrc.yaml', '.validatebranchrc.yml'];
+
+// Key holding the configuration inside package.json
+const PACKAGE_JSON_KEY = 'validateBranch';
+
+// Files a configuration is read from: the config files, package.json (its key and,
+// with scopesFromPackages, the workspace packages) and the other workspace manifests
+const CONFIG_SOURCE_FILES = [...CONFIG_FILES, 'package.json', 'pnpm-workspace.yaml', 'lerna.json'];
+
+// Expected type (or allowed values) of every configuration key
+const CONFIG_SCHEMA = {
+    branchPattern: [...Object.keys(rules.BRANCH_PRESETS), 'custom'],
+    commitPattern: [...Object.keys(rules.COMMIT_PRESETS), 'custom'],
+    enableBranchValidation: 'boolean',
+    enableCommitValidation: 'boolean',
+    customBranchPattern: 'string',
+    customCommitPattern: 'string',
+    headerMaxLength: 'integer',
+    bodyMaxLineLength: 'integer',
+    requireBlankLine: 'boolean',
+    allowedTrailers: 'string[]',
+    allowedProjectKeys: 'string[]',
+    allowedCommitTypes: 'string[]',
+    allowedScopes: 'string[]',
+    scopeMap: 'string{}',
+    scopesFromPackages: 'boolean',
+    checkScopeFiles: 'boolean',
+    prefillTicket: 'boolean',
+    ticketTracker: TRACKERS,
+    ticketTrackerUrl: 'string',
+    ticketTrackerProject: 'string',
+    allowedTicketStatuses: 'string[]',
+    hookManager: HOOK_MANAGERS,
+    autoUpdateHooks: 'boolean',
+    exemptBranches: 'string[]',
+    protectedBranches: 'string[]',
+    blockCommitsToProtected: 'boolean',
+    blockPushesToProtected: 'boolean',
+    branchTypePatterns: 'string{}',
+    ignoreGitCommits: 'boolean',
+    ignoredCommitPatterns: 'string[]',
+    ignoredAuthors: 'string[]',
+    allowBypass: 'boolean',
+    bypassTrailer: 'boolean',
+    ruleSeverity: 'severity{}'
+};
+
+// Checks for the type names used in CONFIG_SCHEMA
+const TYPE_CHECKS = {
+    boolean: value => typeof value === 'boolean',
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value) && value >= 0,
+    'string[]': value => Array.isArray(value) && value.every(item => typeof item === 'string'),
+    'string{}': value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+        && Object.values(value).every(item => typeof item === 'string'),
+    'severity{}': value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+        && Object.entries(value).every(([rule, severity]) => rules.RULE_NAMES.includes(rule) && rules.SEVERITIES.includes(severity))
+};
+
+// Wording for the type names in warnings
+const TYPE_HINTS = {
+    boolean: 'a boolean',
+    string: 'a string',
+    integer: 'a non-negative integer',
+    'string[]': 'a list of strings',
+    'string{}': 'an object with string values',
+    'severity{}': `an object mapping rule names (${rules.RULE_NAMES.join(', ')}) to ${rules.SEVERITIES.join(', ')}`
+};
+
+/**
+ * Walk JSON text outside of string literals, letting `visit` consume or copy characters
+ */
+function scanJson(text, visit) {
+    let output = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            output += char;
+            if (char === '\\') {
+                output += text[++i] || '';
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+            output += char;
+        } else {
+            const skipTo = visit(text, i);
+            if (skipTo === undefined) {
+                output += char;
+            } else {
+                i = skipTo;
+            }
+        }
+    }
+    return output;
+}
+
+/**
+ * Strip comments and trailing commas so JSONC files (like VS Code settings) can be parsed
+ */
+function parseJsonc(text) {
+    const withoutComments = scanJson(text, (source, i) => {
+        if (source.startsWith('//', i)) {
+            const end = source.indexOf('\n', i);
+            return (end === -1 ? source.length : end) - 1;
+        }
+        if (source.startsWith('/*', i)) {
+            const end = source.indexOf('*/', i + 2);
+            return end === -1 ? source.length : end + 1;
+        }
+        return undefined;
+    });
+    const withoutTrailingCommas = scanJson(withoutComments, (source, i) => {
+        return source[i] === ',' && /^\s*[}\]]/.test(source.slice(i + 1)) ? i : undefined;
+    });
+    return JSON.parse(withoutTrailingCommas);
+}
+
+/**
+ * Keep only known keys with values of the expected type.
+ * Returns { config, warnings } where warnings describe every ignored entry.
+ */
+function sanitizeConfig(raw, source) {
+    const config = {};
+    const warnings = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        warnings.push(`${source}: expected an object`);
+        return { config, warnings };
+    }
+    Object.keys(raw).forEach(key => {
+        if (key === '$schema') {
+            return;
+        }
+        const expected = CONFIG_SCHEMA[key];
+        const value = raw[key];
+        if (!expected) {
+            warnings.push(`${source}: unknown option "${key}"`);
+        } else if (Array.isArray(expected) ? !expected.includes(value) : !TYPE_CHECKS[expected](value)) {
+            const hint = Array.isArray(expected) ? `one of ${expected.join(', ')}` : TYPE_HINTS[expected];
+            warnings.push(`${source}: "${key}" must be ${hint}`);
+        } else {
+            config[key] = value;
+        }
+    });
+    return { config, warnings };
+}
+
+/**
+ * Read the flat validateBranch.* keys from .vscode/settings.json (comments allowed)
+ */
+function readWorkspaceSettings(workspacePath) {
+    const settingsPath = path.join(workspacePath, '.vscode', 'settings.json');
+    if (!fs.existsSync(settingsPath)) {
+        return { config: {}, warnings: [] };
+    }
+    let settings;
+    try {
+        settings = parseJsonc(fs.readFileSync(settingsPath, 'utf8'));
+    } catch (error) {
+        return { config: {}, warnings: [`.vscode/settings.json: ${error.message}`] };
+    }
+    const raw = {};
+    Object.keys(CONFIG_SCHEMA).forEach(key => {
+        if (settings[`validateBranch.${key}`] !== undefined) {
+            raw[key] = settings[`validateBranch.${key}`];
+        }
+    });
+    return sanitizeConfig(raw, '.vscode/settings.json');
+}
+
+/**
+ * Find and parse the repository config file.
+ * Returns { source, config, warnings }; source is null when the repository has none.
+ */
+function readRepoConfig(workspacePath) {
+    for (const fileName of CONFIG_FILES) {
+        const filePath = path.join(workspacePath, fileName);
+        if (!fs.existsSync(filePath)) {
+            continue;
+        }
+        let raw;
+        try {
+            const text = fs.readFileSync(filePath, 'utf8');
+            // Loaded lazily so JSON-only setups never need the YAML parser
+            raw = fileName.endsWith('.json') ? parseJsonc(text) : require('yaml').parse(text);
+        } catch (error) {
+            return { source: fileName, config: {}, warnings: [`${fileName}: ${error.message}`] };
+        }
+        return { source: fileName, ...sanitizeConfig(raw, fileName) };
+    }
+
+    const packagePath = path.join(workspacePath, 'package.json');
+    if (fs.existsSync(packagePath)) {
+        try {
+            const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+            if (pkg[PACKAGE_JSON_KEY] !== undefined) {
+                const source = `package.json#${PACKAGE_JSON_KEY}`;
+                return { source, ...sanitizeConfig(pkg[PACKAGE_JSON_KEY], source) };
+            }
+        } catch {
+            // A broken package.json is reported by npm, not by us
+        }
+    }
+
+    return { source: null, config: {}, warnings: [] };
+}
+
+/**
+ * Resolve the effective configuration for a workspace.
+ * `settings` are the editor settings; when omitted, .vscode/settings.json is read instead.
+ * Returns { config, source, warnings } where source names the repository file in use.
+ */
+function loadConfig(workspacePath, settings) {
+    const settingsLayer = settings
+        ? sanitizeConfig(settings, 'settings')
+        : workspacePath ? readWorkspaceSettings(workspacePath) : { config: {}, warnings: [] };
+    const repoLayer = workspacePath ? readRepoConfig(workspacePath) : { source: null, config: {}, warnings: [] };
+    const config = { ...rules.DEFAULT_CONFIG, ...settingsLayer.config, ...repoLayer.config };
+    if (config.scopesFromPackages && workspacePath) {
+        // Entries written in scopeMap win over the inferred ones
+        config.scopeMap = { ...findPackageScopes(workspacePath), ...config.scopeMap };
+    }
+
+    return {
+        config,
+        source: repoLayer.source,
+        warnings: [...settingsLayer.warnings, ...repoLayer.warnings]
+    };
+}
+
+/**
+ * Configurations per folder from `load(workspacePath)`, kept for the live checks
+ * that would otherwise re-read every config file on each keystroke. `clear()`
+ * drops them all (the settings changed); `fileChanged(filePath)` drops them when
+ * the file is one they are read from, and tells whether it was.
+ */
+function createConfigCache(load) {
+    const configs = new Map();
+    return {
+        get(workspacePath) {
+            const key = workspacePath || '';
+            if (!configs.has(key)) {
+                configs.set(key, load(workspacePath));
+            }
+            return configs.get(key);
+        },
+        clear() {
+            configs.clear();
+        },
+        fileChanged(filePath) {
+            const source = CONFIG_SOURCE_FILES.includes(path.basename(filePath));
+            if (source) {
+                configs.clear();
+            }
+            return source;
+        }
+    };
+}
+
+module.exports = {
+    CONFIG_FILES,
+    CONFIG_SOURCE_FILES,
+    CONFIG_SCHEMA,
+    PACKAGE_JSON_KEY,
+    parseJsonc,
+    readWorkspaceSettings,
+    readRepoConfig,
+    loadConfig,
+    createConfigCache
+};
@@ -0,0 +1,158 @@
+/**
+ * "Audit Repository" command and the Validation Audit tree view in the Source
+ * Control sidebar: branches and commits that break the rules, grouped by
+ * section, with the rule each one broke. The last report can be exported as
+ * JSON or Markdown.
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const audit = require('../audit');
+
+const VIEW_ID = 'validateBranch.audit';
+
+const CUSTOM_RANGE = '$(edit) Enter a revision range…';
+
+/**
+ * Tree of the last audit report: a section per kind, a node per violation
+ */
+class AuditTreeProvider {
+    constructor() {
+        this.report = null;
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+    }
+
+    setReport(report) {
+        this.report = report;
+        this.changeEmitter.fire();
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    getChildren(element) {
+        if (!this.report) {
+            return [];
+        }
+        if (!element) {
+            return ['branches', 'commits'].map(kind => {
+                const section = this.report[kind];
+                const item = new vscode.TreeItem(
+                    kind === 'branches' ? 'Branches' : `Commits (${this.report.range})`,
+                    section.violations.length > 0 ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.None
+                );
+                item.description = `${section.violations.length} violation(s) in ${section.checked}${section.bypassed ? `, ${section.bypassed} bypassed` : ''}`;
+                const errors = section.violations.filter(violation => violation.severity !== 'warning').length;
+                item.iconPath = new vscode.ThemeIcon(errors > 0 ? 'error' : section.violations.length > 0 ? 'warning' : 'pass');
+                item.kind = kind;
+                return item;
+            });
+        }
+        return this.report[element.kind].violations.map(violation => {
+            const isBranch = element.kind === 'branches';
+            const item = new vscode.TreeItem(isBranch ? violation.ref : `${violation.sha.slice(0, 8)} ${violation.subject}`);
+            item.description = violation.severity === 'warning' ? `${violation.rule} (warning)` : violation.rule;
+            item.tooltip = isBranch ? violation.message : `${violation.author}\n${violation.message}`;
+            item.iconPath = violation.severity === 'warning'
+                ? new vscode.ThemeIcon('warning', new vscode.ThemeColor('list.warningForeground'))
+                : new vscode.ThemeIcon(isBranch ? 'git-branch' : 'git-commit');
+            return item;
+        });
+    }
+}
+
+/**
+ * Ask which commits to audit; resolves { range } or { count }, or undefined when cancelled
+ */
+async function pickCommits(git) {
+    const items = [
+        { label: 'Last 50 commits', count: 50 },
+        { label: 'Last 200 commits', count: 200 }
+    ];
+    try {
+        const defaultBranch = await git('rev-parse', '--abbrev-ref', 'origin/HEAD');
+        items.unshift({ label: `${defaultBranch}..HEAD`, description: 'Commits not on the default branch', range: `${defaultBranch}..HEAD` });
+    } catch {
+        // No remote default branch; offer the other choices
+    }
+    items.push({ label: CUSTOM_RANGE });
+
+    const item = await vscode.window.showQuickPick(items, { title: 'Audit Repository', placeHolder: 'Commits to check' });
+    if (!item || item.label !== CUSTOM_RANGE) {
+        return item && (item.range ? { range: item.range } : { count: item.count });
+    }
+    const range = await vscode.window.showInputBox({
+        title: 'Audit Repository',
+        prompt: 'Revision range, e.g. origin/main..HEAD or v1.2.0..HEAD',
+        validateInput: value => (audit.RANGE_PATTERN.test(value) ? undefined : 'Enter a revision or a range such as A..B')
+    });
+    return range ? { range } : undefined;
+}
+
+/**
+ * Register the audit view with its audit and export commands.
+ * `pickWorkspacePath()` resolves the folder to audit, `getConfig(workspacePath)`
+ * its rules and `createGit(workspacePath)` the function running git in it.
+ */
+function registerAuditView(context, getConfig, pickWorkspacePath, createGit) {
+    const provider = new AuditTreeProvider();
+    const view = vscode.window.createTreeView(VIEW_ID, { treeDataProvider: provider });
+    let auditedPath = null;
+
+    const auditRepository = vscode.commands.registerCommand('validate-branch.auditRepository', async function () {
+        const workspacePath = await pickWorkspacePath();
+        if (!workspacePath) {
+            return;
+        }
+        const git = createGit(workspacePath);
+        const commits = await pickCommits(git);
+        if (!commits) {
+            return;
+        }
+
+        try {
+            const report = await vscode.window.withProgress(
+                { location: { viewId: VIEW_ID }, title: 'Auditing repository' },
+                () => audit.runAudit(git, getConfig(workspacePath), commits)
+            );
+            report.repository = path.basename(workspacePath);
+            auditedPath = workspacePath;
+            provider.setReport(report);
+            view.message = `${report.repository}: ${report.branches.violations.length + report.commits.violations.length} violation(s)`;
+            vscode.commands.executeCommand('setContext', 'validateBranch.hasAuditReport', true);
+            vscode.commands.executeCommand(`${VIEW_ID}.focus`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Audit failed: ${error.message}`);
+        }
+    });
+
+    const exportAudit = vscode.commands.registerCommand('validate-branch.exportAudit', async function () {
+        if (!provider.report) {
+            vscode.window.showInformationMessage('Run "Validate Branch: Audit Repository" first');
+            return;
+        }
+        const format = await vscode.window.showQuickPick(['Markdown', 'JSON'], { placeHolder: 'Export format' });
+        if (!format) {
+            return;
+        }
+        const extension = format === 'JSON' ? 'json' : 'md';
+        const target = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(path.join(auditedPath, `validation-audit.${extension}`)),
+            filters: { [format]: [extension] }
+        });
+        if (!target) {
+            return;
+        }
+        const content = format === 'JSON' ? audit.toJson(provider.report) : audit.toMarkdown(provider.report);
+        await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf8'));
+        vscode.window.showInformationMessage(`✅ Audit report saved to ${target.fsPath}`);
+    });
+
+    context.subscriptions.push(view, auditRepository, exportAudit);
+}
+
+module.exports = {
+    registerAuditView
+};
@@ -0,0 +1,143 @@
+/**
+ * "Fix Current Branch Name": proposes a name the preset accepts, built from the
+ * parts recognisable in the current one (type, ticket key, user and a slug of
+ * the rest), renames the branch and, when it has an upstream, can push the new
+ * name and track it, deleting the old remote branch when it is the branch's own.
+ */
+
+const vscode = require('vscode');
+const rules = require('../rules');
+const naming = require('../naming');
+const { pickTicket } = require('./pickers');
+const { findRecentTickets, getUserPrefix } = require('./branch-wizard');
+
+const PUSH_RENAME = '$(cloud-upload) Rename and update the remote';
+const PUSH_NEW = '$(cloud-upload) Rename and push the new name';
+const LOCAL_RENAME = '$(git-branch) Rename locally only';
+
+/**
+ * Suggest a valid name for `current`; missing ticket keys and users are asked for
+ * or looked up. Resolves undefined when cancelled.
+ */
+async function suggestName(current, config, git, tracker) {
+    const rule = rules.getBranchRule(config);
+    if (!rule.template) {
+        return current;
+    }
+    const parts = naming.inferBranchParts(current, rule.types);
+    const needed = naming.getTemplateParts(rule.template);
+
+    if (needed.includes('type') && !parts.type) {
+        parts.type = rule.types[0];
+    }
+    if (needed.includes('ticket') && !parts.ticket) {
+        parts.ticket = await pickTicket(await findRecentTickets(git), `Fix Branch Name: ticket for "${current}"`,
+            value => naming.extractTicket(value) === value, tracker);
+        if (!parts.ticket) {
+            return undefined;
+        }
+    }
+    if (needed.includes('user') && !parts.user) {
+        parts.user = await getUserPrefix(git);
+    }
+    return naming.buildBranchName(rule.template, parts);
+}
+
+/**
+ * Remote and remote branch the current branch tracks, or null
+ */
+async function getUpstream(current, git) {
+    try {
+        const remote = await git('config', `branch.${current}.remote`);
+        const merge = await git('config', `branch.${current}.merge`);
+        return remote && remote !== '.' && merge ? { remote, branch: merge.replace(/^refs\/heads\//, '') } : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Run the command. `git(...args)` runs git in the repository and resolves its output;
+ * the optional issue `tracker` is searched for a missing ticket.
+ */
+async function runBranchRename(config, git, tracker) {
+    const current = await git('branch', '--show-current');
+    if (!current) {
+        vscode.window.showErrorMessage('No branch is checked out');
+        return;
+    }
+    const status = rules.validateBranchName(current, config);
+    if (status.valid && status.warnings.length === 0) {
+        vscode.window.showInformationMessage(`✅ Branch "${current}" already follows the ${rules.getBranchRule(config).convention} convention`);
+        return;
+    }
+
+    const suggestion = await suggestName(current, config, git, tracker);
+    if (suggestion === undefined) {
+        return;
+    }
+    const existing = (await git('for-each-ref', '--format=%(refname:short)', 'refs/heads')).split('\n');
+    const newName = await vscode.window.showInputBox({
+        title: `Fix Branch Name: rename "${current}"`,
+        prompt: `New name (${rules.getBranchRule(config).convention} convention)`,
+        value: suggestion,
+        validateInput: value => {
+            if (existing.includes(value)) {
+                return `Branch "${value}" already exists`;
+            }
+            const result = rules.validateBranchName(value, config);
+            return result.valid ? undefined : result.error || result.problems[0].message;
+        }
+    });
+    if (!newName) {
+        return;
+    }
+
+    const upstream = await getUpstream(current, git);
+    // A branch started from another one (git checkout -b x origin/main) tracks that; it is never deleted
+    const ownUpstream = upstream !== null && upstream.branch === current;
+    let updateRemote = false;
+    if (upstream) {
+        const choice = await vscode.window.showQuickPick([
+            ownUpstream
+                ? { label: PUSH_RENAME, detail: `Push "${newName}" to ${upstream.remote}, track it and delete ${upstream.remote}/${upstream.branch}` }
+                : { label: PUSH_NEW, detail: `Push "${newName}" to ${upstream.remote} and track it; ${upstream.remote}/${upstream.branch} is left alone` },
+            { label: LOCAL_RENAME, detail: `${upstream.remote}/${upstream.branch} is kept and no longer tracked` }
+        ], { title: `Fix Branch Name: "${current}" → "${newName}"` });
+        if (!choice) {
+            return;
+        }
+        updateRemote = choice.label !== LOCAL_RENAME;
+    }
+
+    try {
+        await git('branch', '-m', current, newName);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to rename branch: ${error.message}`);
+        return;
+    }
+    if (!upstream) {
+        vscode.window.showInformationMessage(`✅ Branch renamed to "${newName}"`);
+        return;
+    }
+    if (!updateRemote) {
+        // Pushing would otherwise go to the old remote name
+        await git('branch', '--unset-upstream', newName);
+        vscode.window.showInformationMessage(`✅ Branch renamed to "${newName}". Push it with: git push -u ${upstream.remote} ${newName}`);
+        return;
+    }
+
+    try {
+        await git('push', '-u', upstream.remote, newName);
+        if (ownUpstream) {
+            await git('push', upstream.remote, '--delete', upstream.branch);
+        }
+        vscode.window.showInformationMessage(`✅ Branch renamed to "${newName}" on ${upstream.remote} and tracking ${upstream.remote}/${newName}`);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Branch renamed to "${newName}" locally, but updating ${upstream.remote} failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    runBranchRename
+};
@@ -0,0 +1,173 @@
+/**
+ * Guided branch creation: pick a type from the preset, enter or pick a ticket
+ * key, then type a title that is slugified into the final name. The name is
+ * previewed and checked with validateBranchName on every keystroke, so the
+ * wizard can only finish with a valid branch name.
+ */
+
+const vscode = require('vscode');
+const rules = require('../rules');
+const naming = require('../naming');
+const { pickTicket } = require('./pickers');
+
+const ENTER_FULL_NAME = '$(edit) Enter the full branch name…';
+
+/**
+ * First problem of a validation result, for an input box validation message
+ */
+function describeProblem(result) {
+    return result.error || (result.problems[0] && result.problems[0].message);
+}
+
+/**
+ * Ticket keys mentioned in local branch names and recent commit subjects
+ */
+async function findRecentTickets(git) {
+    try {
+        const branches = await git('for-each-ref', '--sort=-committerdate', '--format=%(refname:short)', 'refs/heads');
+        const subjects = await git('log', '-n', '100', '--format=%s');
+        return naming.findTickets([...branches.split('\n'), ...subjects.split('\n')]);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Default user prefix for trunk-based names, from git's user.name
+ */
+async function getUserPrefix(git) {
+    try {
+        return naming.slugify(await git('config', 'user.name'), 30);
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Pick the branch type; resolves ENTER_FULL_NAME when the user prefers free text
+ */
+async function pickType(rule, step, totalSteps) {
+    const item = await vscode.window.showQuickPick(
+        [...rule.types.map(type => ({ label: type })), { label: ENTER_FULL_NAME }],
+        { title: `Create Branch (${step}/${totalSteps})`, placeHolder: `Branch type (${rule.convention} convention)` }
+    );
+    return item && item.label;
+}
+
+/**
+ * Ask for the user prefix of a trunk-based name
+ */
+async function inputUser(defaultUser, step, totalSteps) {
+    const user = await vscode.window.showInputBox({
+        title: `Create Branch (${step}/${totalSteps})`,
+        prompt: 'Your branch prefix',
+        value: defaultUser,
+        validateInput: value => (naming.slugify(value) ? undefined : 'Enter a name')
+    });
+    return user === undefined ? undefined : naming.slugify(user, 30);
+}
+
+/**
+ * Ask for the title, previewing and validating the resulting branch name live
+ */
+function inputTitle(rule, parts, config, step, totalSteps, initialTitle) {
+    return new Promise(resolve => {
+        const inputBox = vscode.window.createInputBox();
+        inputBox.title = `Create Branch (${step}/${totalSteps})`;
+        inputBox.placeholder = 'Describe the work, e.g. "User authentication"';
+        inputBox.value = initialTitle || '';
+
+        const update = () => {
+            const slug = naming.slugify(inputBox.value);
+            if (!slug) {
+                inputBox.prompt = 'The title becomes a lowercase, hyphenated slug';
+                inputBox.validationMessage = undefined;
+                return null;
+            }
+            const name = naming.buildBranchName(rule.template, { ...parts, slug });
+            const result = rules.validateBranchName(name, config);
+            inputBox.prompt = `Branch: ${name}`;
+            inputBox.validationMessage = result.valid ? undefined : describeProblem(result);
+            return result.valid ? name : null;
+        };
+
+        inputBox.onDidChangeValue(update);
+        inputBox.onDidAccept(() => {
+            const name = update();
+            if (name) {
+                resolve(name);
+                inputBox.hide();
+            }
+        });
+        inputBox.onDidHide(() => {
+            resolve(undefined);
+            inputBox.dispose();
+        });
+        update();
+        inputBox.show();
+    });
+}
+
+/**
+ * Free-text branch name, validated as it is typed
+ */
+function inputFullName(config) {
+    const rule = rules.getBranchRule(config);
+    return vscode.window.showInputBox({
+        title: 'Create Branch',
+        prompt: `Enter branch name (${rule.convention} convention)`,
+        placeHolder: rule.examples[0] || rule.pattern,
+        validateInput: value => {
+            if (!value) {
+                return undefined;
+            }
+            const result = rules.validateBranchName(value, config);
+            return result.valid ? undefined : describeProblem(result);
+        }
+    });
+}
+
+/**
+ * Run the wizard; resolves the branch name, or undefined when cancelled.
+ * `git(...args)` runs git in the repository and resolves its output; the
+ * optional issue `tracker` is searched for tickets and gives the title.
+ */
+async function runBranchWizard(config, git, tracker) {
+    const rule = rules.getBranchRule(config);
+    if (!rule.template) {
+        return inputFullName(config);
+    }
+
+    const needed = naming.getTemplateParts(rule.template).filter(part => part !== 'slug');
+    const totalSteps = needed.length + 1;
+    const parts = {};
+    let step = 1;
+
+    for (const part of needed) {
+        if (part === 'type') {
+            const type = await pickType(rule, step, totalSteps);
+            if (type === ENTER_FULL_NAME) {
+                return inputFullName(config);
+            }
+            parts.type = type;
+        } else if (part === 'ticket') {
+            parts.ticket = await pickTicket(await findRecentTickets(git), `Create Branch (${step}/${totalSteps})`,
+                value => naming.extractTicket(value) === value, tracker);
+        } else if (part === 'user') {
+            parts.user = await inputUser(await getUserPrefix(git), step, totalSteps);
+        }
+        if (!parts[part]) {
+            return undefined;
+        }
+        step++;
+    }
+
+    const found = parts.ticket && tracker ? await tracker.checkTicket(parts.ticket) : null;
+    return inputTitle(rule, parts, config, step, totalSteps, found && found.ticket ? found.ticket.title : '');
+}
+
+module.exports = {
+    findRecentTickets,
+    getUserPrefix,
+    runBranchWizard
+};
@@ -0,0 +1,215 @@
+/**
+ * Guided commit composer: builds the message from the preset's type, a scope
+ * suggested from the staged files and recent history, the ticket key of the
+ * current branch and a subject, plus an optional body and breaking-change
+ * footer. The header is previewed and validated while the subject is typed,
+ * and the assembled message is shown for confirmation before committing.
+ */
+
+const vscode = require('vscode');
+const rules = require('../rules');
+const naming = require('../naming');
+const builder = require('../commit-builder');
+const { pickOrType, pickTicket } = require('./pickers');
+const { findRecentTickets } = require('./branch-wizard');
+
+const NO_SCOPE = '$(circle-slash) No scope';
+const NO_BREAKING_CHANGE = 'No breaking changes';
+const BREAKING_CHANGE = '$(warning) Breaking change…';
+
+/**
+ * Run git, resolving an empty string when it fails
+ */
+async function tryGit(git, ...args) {
+    try {
+        return await git(...args);
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * First problem of a validation result, for an input box validation message
+ */
+function describeProblem(result) {
+    return result.error || (result.problems[0] && result.problems[0].message);
+}
+
+/**
+ * Pick the commit type with its description, among allowedCommitTypes when set
+ */
+async function pickType(rule, config, title) {
+    const types = config.allowedCommitTypes.length > 0 ? config.allowedCommitTypes : rule.types;
+    const item = await vscode.window.showQuickPick(
+        types.map(type => ({ label: type, description: builder.TYPE_DESCRIPTIONS[type] })),
+        { title, placeHolder: `Commit type (${rule.convention} convention)`, matchOnDescription: true }
+    );
+    return item && item.label;
+}
+
+/**
+ * Pick a suggested scope or type one; resolves '' for "no scope".
+ * With a scope allowlist only allowed scopes are offered, suggested ones first.
+ */
+async function pickScope(rule, config, suggestions, title) {
+    const allowed = rules.getAllowedScopes(config);
+    const items = allowed.length > 0
+        ? [...new Set([...suggestions.filter(scope => allowed.includes(scope)), ...allowed])]
+            .map(scope => ({ label: scope, description: suggestions.includes(scope) ? 'suggested' : undefined }))
+        : suggestions.map(scope => ({ label: scope, description: 'suggested' }));
+    if (rule.scope === 'optional') {
+        items.unshift({ label: NO_SCOPE });
+    }
+    const item = await pickOrType({
+        title,
+        placeholder: rule.scope === 'required' ? 'Scope (required)' : 'Scope (optional)',
+        items,
+        toTypedItem: value => (/^[^()\s]+$/.test(value) && allowed.length === 0 ? { label: value, description: 'new' } : null)
+    });
+    if (!item) {
+        return undefined;
+    }
+    return item.label === NO_SCOPE ? '' : item.label;
+}
+
+/**
+ * Ask for the subject, previewing and validating the header live
+ */
+function inputSubject(rule, parts, config, title) {
+    return new Promise(resolve => {
+        const inputBox = vscode.window.createInputBox();
+        inputBox.title = title;
+        inputBox.placeholder = 'Short summary of the change';
+
+        const update = () => {
+            const subject = inputBox.value.trim();
+            const header = builder.buildCommitHeader(rule.template, { ...parts, subject });
+            inputBox.prompt = `Header: ${header}`;
+            if (!subject) {
+                inputBox.validationMessage = undefined;
+                return null;
+            }
+            const result = rules.validateCommitMessage(header, config);
+            inputBox.validationMessage = result.valid ? undefined : describeProblem(result);
+            return result.valid ? subject : null;
+        };
+
+        inputBox.onDidChangeValue(update);
+        inputBox.onDidAccept(() => {
+            const subject = update();
+            if (subject) {
+                resolve(subject);
+                inputBox.hide();
+            }
+        });
+        inputBox.onDidHide(() => {
+            resolve(undefined);
+            inputBox.dispose();
+        });
+        update();
+        inputBox.show();
+    });
+}
+
+/**
+ * Free-text commit message for custom patterns, validated as it is typed
+ */
+function inputFullMessage(config) {
+    const rule = rules.getCommitRule(config);
+    return vscode.window.showInputBox({
+        title: 'Create Commit',
+        prompt: `Enter commit message (${rule.convention} convention)`,
+        placeHolder: rule.examples[0] || rule.pattern,
+        validateInput: value => {
+            if (!value) {
+                return undefined;
+            }
+            const result = rules.validateCommitMessage(value, config);
+            return result.valid ? undefined : describeProblem(result);
+        }
+    });
+}
+
+/**
+ * Run the composer; resolves the confirmed commit message, or undefined when cancelled.
+ * `git(...args)` runs git in the repository and resolves its output; the
+ * optional issue `tracker` is searched for tickets.
+ */
+async function runCommitComposer(config, git, tracker) {
+    const rule = rules.getCommitRule(config);
+    if (!rule.template) {
+        return inputFullMessage(config);
+    }
+
+    const templateParts = naming.getTemplateParts(rule.template);
+    const branchTicket = naming.extractTicket(await tryGit(git, 'branch', '--show-current'));
+    const steps = templateParts.filter(part => part === 'type' || (part === 'scope' && rule.scope !== 'none')
+        || (part === 'ticket' && !branchTicket));
+    const totalSteps = steps.length + 3;
+    const title = step => `Create Commit (${step}/${totalSteps})`;
+    const parts = { ticket: branchTicket };
+    let step = 1;
+
+    for (const part of steps) {
+        if (part === 'type') {
+            parts.type = await pickType(rule, config, title(step));
+        } else if (part === 'scope') {
+            const staged = (await tryGit(git, 'diff', '--cached', '--name-only')).split('\n');
+            const subjects = (await tryGit(git, 'log', '-n', '200', '--format=%s')).split('\n');
+            parts.scope = await pickScope(rule, config, builder.suggestScopes(staged, subjects, config.scopeMap), title(step));
+        } else if (part === 'ticket') {
+            parts.ticket = await pickTicket(await findRecentTickets(git), title(step), value => naming.extractTicket(value) === value, tracker);
+        }
+        if (parts[part] === undefined || (part !== 'scope' && !parts[part])) {
+            return undefined;
+        }
+        step++;
+    }
+
+    parts.subject = await inputSubject(rule, parts, config, title(step++));
+    if (!parts.subject) {
+        return undefined;
+    }
+
+    const bodyText = await vscode.window.showInputBox({
+        title: title(step++),
+        prompt: 'Body (optional): explain what and why. Press Enter to skip',
+        placeHolder: 'Longer description, wrapped automatically'
+    });
+    if (bodyText === undefined) {
+        return undefined;
+    }
+    const body = bodyText.trim() ? builder.wrapText(bodyText.trim(), config.bodyMaxLineLength || 72) : '';
+
+    const footers = [];
+    const breaking = await vscode.window.showQuickPick([NO_BREAKING_CHANGE, BREAKING_CHANGE], { title: title(step++) });
+    if (breaking === undefined) {
+        return undefined;
+    }
+    if (breaking === BREAKING_CHANGE) {
+        const description = await vscode.window.showInputBox({ prompt: 'Describe the breaking change and the migration path' });
+        if (!description) {
+            return undefined;
+        }
+        parts.breaking = true;
+        footers.push({ token: 'BREAKING CHANGE', value: description.trim() });
+    }
+    const allowsRefs = config.allowedTrailers.length === 0 || config.allowedTrailers.includes('Refs');
+    if (branchTicket && !templateParts.includes('ticket') && allowsRefs) {
+        footers.push({ token: 'Refs', value: branchTicket });
+    }
+
+    // An invalid message (e.g. an overlong body line) skips the confirmation;
+    // the caller validates before committing and reports every problem
+    const message = builder.buildCommitMessage(builder.buildCommitHeader(rule.template, parts), body, footers);
+    if (!rules.validateCommitMessage(message, config).valid) {
+        return message;
+    }
+
+    const choice = await vscode.window.showInformationMessage('Commit with this message?', { modal: true, detail: message }, 'Commit');
+    return choice === 'Commit' ? message : undefined;
+}
+
+module.exports = {
+    runCommitComposer
+};
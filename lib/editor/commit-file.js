@@ -0,0 +1,182 @@
+/**
+ * Live linting of the files git opens in VS Code when `core.editor` is
+ * `code --wait`: COMMIT_EDITMSG gets the commit rules as diagnostics, and the
+ * `reword` lines of git-rebase-todo get the header rules on the subject they
+ * start from. Quick fixes on COMMIT_EDITMSG add the branch's ticket key, when
+ * the header lacks it or that clears a problem, and shorten an over-long header.
+ */
+
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const rules = require('../rules');
+const naming = require('../naming');
+const { stripMessage, parseCommitMessage, parseRebaseTodo } = require('../commit-message');
+const { getTicketPrefix, prefillTicket, shortenHeader } = require('../commit-builder');
+const { toDiagnostics } = require('./scm-input');
+
+const COMMIT_MESSAGE_FILE = 'COMMIT_EDITMSG';
+const REBASE_TODO_FILE = 'git-rebase-todo';
+
+/**
+ * Kind of git file a document is: 'commit', 'todo' or null
+ */
+function getFileKind(document) {
+    if (document.uri.scheme !== 'file') {
+        return null;
+    }
+    const name = path.basename(document.uri.fsPath);
+    return name === COMMIT_MESSAGE_FILE ? 'commit' : name === REBASE_TODO_FILE ? 'todo' : null;
+}
+
+/**
+ * Branch checked out in a git directory, or the branch being rebased while HEAD is detached
+ */
+function readBranch(gitDir) {
+    for (const file of ['HEAD', 'rebase-merge/head-name', 'rebase-apply/head-name']) {
+        try {
+            const ref = fs.readFileSync(path.join(gitDir, file), 'utf8').trim().replace(/^ref: /, '');
+            if (ref.startsWith('refs/heads/')) {
+                return ref.slice('refs/heads/'.length);
+            }
+        } catch {
+            // Not rebasing, or no such file
+        }
+    }
+    return '';
+}
+
+/**
+ * Diagnostics for the reword lines of a rebase todo list, on the subject of each
+ */
+function lintRebaseTodo(document, config) {
+    return parseRebaseTodo(document.getText()).flatMap(reword => {
+        const range = new vscode.Range(reword.line, reword.column, reword.line, reword.column + reword.subject.length);
+        const result = rules.validateCommitMessage(reword.subject, config);
+        if (result.error) {
+            return [new vscode.Diagnostic(range, result.error, vscode.DiagnosticSeverity.Error)];
+        }
+        const toDiagnostic = severity => problem => {
+            const diagnostic = new vscode.Diagnostic(range, `Reworded commit: ${problem.message}`, severity);
+            diagnostic.source = 'Validate Branch';
+            diagnostic.code = problem.rule;
+            return diagnostic;
+        };
+        // The todo list only holds the header; the rest of the message is edited later
+        const isHeaderRule = problem => problem.rule.startsWith('header-');
+        return [
+            ...result.problems.filter(isHeaderRule).map(toDiagnostic(vscode.DiagnosticSeverity.Error)),
+            ...result.warnings.filter(isHeaderRule).map(toDiagnostic(vscode.DiagnosticSeverity.Warning))
+        ];
+    });
+}
+
+/**
+ * Quick fixes for the commit rules in COMMIT_EDITMSG
+ */
+class CommitMessageFixes {
+    constructor(getFileConfig) {
+        this.getFileConfig = getFileConfig;
+    }
+
+    provideCodeActions(document, range, context) {
+        const diagnostics = context.diagnostics.filter(diagnostic => diagnostic.source === 'Validate Branch');
+        if (getFileKind(document) !== 'commit' || diagnostics.length === 0) {
+            return [];
+        }
+        const config = this.getFileConfig(document);
+        const text = document.getText();
+        const problemCount = message => rules.validateCommitMessage(message, config).problems.length;
+        const actions = [];
+
+        const ticket = naming.extractTicket(readBranch(path.dirname(document.uri.fsPath)));
+        const withTicket = prefillTicket(text, ticket, config);
+        const startsWithTicket = getTicketPrefix(rules.getCommitRule(config).template || '', ticket) !== null;
+        const headerBroken = diagnostics.some(diagnostic => diagnostic.code === 'header-pattern');
+        if (withTicket !== text && ((startsWithTicket && headerBroken) || problemCount(withTicket) < problemCount(text))) {
+            const action = new vscode.CodeAction(`Add ticket ${ticket} from the branch`, vscode.CodeActionKind.QuickFix);
+            action.edit = new vscode.WorkspaceEdit();
+            action.edit.replace(document.uri, new vscode.Range(0, 0, document.lineCount, 0), withTicket);
+            action.diagnostics = diagnostics;
+            action.isPreferred = true;
+            actions.push(action);
+        }
+
+        const { header } = parseCommitMessage(text);
+        const shortened = header ? shortenHeader(header.text, config) : null;
+        if (shortened && shortened !== header.text) {
+            const lines = text.split('\n');
+            lines[header.line] = shortened;
+            if (problemCount(lines.join('\n')) < problemCount(text)) {
+                const action = new vscode.CodeAction(`Shorten the header to ${[...shortened].length} characters`, vscode.CodeActionKind.QuickFix);
+                action.edit = new vscode.WorkspaceEdit();
+                action.edit.replace(document.uri, document.lineAt(header.line).range, shortened);
+                action.diagnostics = diagnostics.filter(diagnostic => diagnostic.range.start.line === header.line);
+                actions.push(action);
+            }
+        }
+        return actions;
+    }
+}
+
+/**
+ * Register the COMMIT_EDITMSG and git-rebase-todo linter and its quick fixes.
+ * `getConfig(workspacePath)` resolves the rules; `getWorkspacePath()` is the
+ * fallback for git directories outside the workspace folders.
+ */
+function registerCommitFileLinting(context, getConfig, getWorkspacePath) {
+    const diagnostics = vscode.languages.createDiagnosticCollection('validate-branch-commit-file');
+
+    function getFileConfig(document) {
+        const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+        return getConfig(folder ? folder.uri.fsPath : getWorkspacePath());
+    }
+
+    function lint(document) {
+        const kind = getFileKind(document);
+        if (!kind) {
+            return;
+        }
+        const enabled = vscode.workspace.getConfiguration('validateBranch', document.uri).get('lintCommitEditor', true);
+        const config = getFileConfig(document);
+        if (!enabled || !config.enableCommitValidation) {
+            diagnostics.delete(document.uri);
+            return;
+        }
+        if (kind === 'todo') {
+            diagnostics.set(document.uri, lintRebaseTodo(document, config));
+            return;
+        }
+        // An empty message aborts the commit, and a lone ticket prefill is still to be written
+        const message = stripMessage(document.getText()).map(line => line.text).join('\n');
+        const ticket = naming.extractTicket(readBranch(path.dirname(document.uri.fsPath)));
+        if (message === '' || message === prefillTicket('', ticket, config).trim()) {
+            diagnostics.delete(document.uri);
+            return;
+        }
+        diagnostics.set(document.uri, toDiagnostics(document, rules.validateCommitMessage(document.getText(), config)));
+    }
+
+    vscode.workspace.textDocuments.forEach(lint);
+
+    context.subscriptions.push(
+        diagnostics,
+        vscode.languages.registerCodeActionsProvider(
+            { scheme: 'file', pattern: `**/${COMMIT_MESSAGE_FILE}` },
+            new CommitMessageFixes(getFileConfig),
+            { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+        ),
+        vscode.workspace.onDidOpenTextDocument(lint),
+        vscode.workspace.onDidChangeTextDocument(event => lint(event.document)),
+        vscode.workspace.onDidCloseTextDocument(document => diagnostics.delete(document.uri)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('validateBranch')) {
+                vscode.workspace.textDocuments.forEach(lint);
+            }
+        })
+    );
+}
+
+module.exports = {
+    registerCommitFileLinting
+};
@@ -0,0 +1,170 @@
+/**
+ * "Fix Unpushed Commit Messages": lists the commits of the current branch that
+ * are on no remote and break the commit rules, proposes a corrected message
+ * for each, and rewords them with a non-interactive rebase. The rebase replays
+ * the same commits on the same base, amending the message after each picked
+ * commit, so it cannot conflict. Commits already on a remote branch (protected
+ * branches included) and ranges with merges are refused.
+ */
+
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rules = require('../rules');
+const naming = require('../naming');
+const audit = require('../audit');
+const { suggestCommitFix, suggestScopes } = require('../commit-builder');
+const { shellQuote } = require('../git');
+
+// Most unpushed commits offered
+const MAX_COMMITS = 100;
+
+/**
+ * First problem of a validation result, for an input box validation message
+ */
+function describeProblem(result) {
+    return result.error || (result.problems[0] && result.problems[0].message);
+}
+
+/**
+ * Ask for the new message of a commit, starting from the suggested fix.
+ * Only the header is edited; the rest of the suggestion is kept.
+ */
+async function inputMessage(commit, suggestion, config, step, totalSteps) {
+    const [header, ...rest] = suggestion.split('\n');
+    const original = commit.message.split('\n')[0];
+    const value = await vscode.window.showInputBox({
+        title: `Fix Commit Messages (${step}/${totalSteps}): ${commit.sha.slice(0, 8)}`,
+        prompt: rest.length > 0 ? `Was: ${original} (the body is kept)` : `Was: ${original}`,
+        value: header,
+        validateInput: text => {
+            const result = rules.validateCommitMessage([text, ...rest].join('\n'), config);
+            return result.valid ? undefined : describeProblem(result);
+        }
+    });
+    return value === undefined ? undefined : [value, ...rest].join('\n');
+}
+
+/**
+ * Refuse to rewrite published history or flatten merges; resolves a reason, or null when safe
+ */
+async function checkRewritable(oldest, base, git) {
+    const remotes = await git('branch', '-r', '--contains', oldest);
+    if (remotes) {
+        return `${oldest.slice(0, 8)} is already on ${remotes.split('\n')[0].trim()}; rewording it would rewrite published history`;
+    }
+    const merges = await git('rev-list', '--merges', base ? `${base}..HEAD` : 'HEAD');
+    if (merges) {
+        return 'The commits to reword are mixed with merge commits; reword them with git rebase --rebase-merges instead';
+    }
+    return null;
+}
+
+/**
+ * Reword commits in one rebase: each picked commit listed in `messages`
+ * (sha → new message) is followed by an exec that amends its message.
+ */
+async function rebaseWithMessages(base, messages, git) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-branch-reword-'));
+    try {
+        const shas = (await git('rev-list', '--reverse', base ? `${base}..HEAD` : 'HEAD')).split('\n').filter(Boolean);
+        const todo = [];
+        shas.forEach(sha => {
+            todo.push(`pick ${sha}`);
+            if (messages.has(sha)) {
+                const messageFile = path.join(tempDir, sha);
+                fs.writeFileSync(messageFile, `${messages.get(sha)}\n`);
+                todo.push(`exec git commit --amend --no-verify --allow-empty --cleanup=verbatim -F ${shellQuote(messageFile)}`);
+            }
+        });
+        const todoFile = path.join(tempDir, 'git-rebase-todo');
+        fs.writeFileSync(todoFile, `${todo.join('\n')}\n`);
+
+        // git hands the todo list to the sequence editor, which replaces it with ours;
+        // git runs editors and exec lines through the shell, hence the quoting
+        const sequenceEditor = `sequence.editor=cp ${shellQuote(todoFile)}`;
+        try {
+            await git('-c', sequenceEditor, '-c', 'core.editor=true', 'rebase', '-i', '--autostash', base || '--root');
+        } catch (error) {
+            await git('rebase', '--abort').catch(() => {});
+            throw error;
+        }
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Run the command. `git(...args)` runs git in the repository and resolves its output.
+ */
+async function runCommitReword(config, git) {
+    const branch = await git('branch', '--show-current');
+    if (!branch) {
+        vscode.window.showErrorMessage('No branch is checked out');
+        return;
+    }
+
+    const commits = audit.parseLog(await git('log', '-n', String(MAX_COMMITS), `--format=${audit.LOG_FORMAT}`, 'HEAD', '--not', '--remotes'));
+    const invalid = commits.filter(commit => !rules.validateCommitMessage(commit.message, config, audit.getIdentities(commit)).valid);
+    if (invalid.length === 0) {
+        vscode.window.showInformationMessage(commits.length === 0
+            ? 'No unpushed commits on this branch'
+            : `✅ All ${commits.length} unpushed commit(s) follow the ${rules.getCommitRule(config).convention} convention`);
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(invalid.map(commit => ({
+        label: `${commit.sha.slice(0, 8)} ${commit.message.split('\n')[0]}`,
+        description: rules.validateCommitMessage(commit.message, config).problems.map(problem => problem.rule).join(', '),
+        picked: true,
+        commit
+    })), { title: 'Fix Commit Messages', placeHolder: 'Unpushed commits that break the commit rules', canPickMany: true });
+    if (!picked || picked.length === 0) {
+        return;
+    }
+
+    // Oldest first, the order the rebase replays them in
+    const selected = invalid.filter(commit => picked.some(item => item.commit === commit)).reverse();
+    const ticket = naming.extractTicket(branch);
+    const recentSubjects = (await git('log', '-n', '100', '--format=%s')).split('\n');
+    const messages = new Map();
+    for (const [index, commit] of selected.entries()) {
+        const paths = (await git('diff-tree', '--no-commit-id', '--name-only', '-r', '--root', commit.sha)).split('\n');
+        const suggestion = suggestCommitFix(commit.message, config, { ticket, scopes: suggestScopes(paths, recentSubjects, config.scopeMap) });
+        const message = await inputMessage(commit, suggestion, config, index + 1, selected.length);
+        if (message === undefined) {
+            return;
+        }
+        messages.set(commit.sha, message);
+    }
+
+    const oldest = selected[0].sha;
+    const base = await git('rev-parse', '--verify', '--quiet', `${oldest}^`).catch(() => '');
+    const refusal = await checkRewritable(oldest, base, git);
+    if (refusal) {
+        vscode.window.showErrorMessage(`❌ ${refusal}`);
+        return;
+    }
+
+    const rewritten = await git('rev-list', '--count', base ? `${base}..HEAD` : 'HEAD');
+    const confirm = await vscode.window.showWarningMessage(
+        `Reword ${messages.size} commit(s) on "${branch}"?`,
+        { modal: true, detail: `The last ${rewritten} commit(s) get new hashes. None of them is on a remote yet.` },
+        'Reword'
+    );
+    if (confirm !== 'Reword') {
+        return;
+    }
+
+    try {
+        await rebaseWithMessages(base, messages, git);
+        vscode.window.showInformationMessage(`✅ Reworded ${messages.size} commit(s) on "${branch}"`);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to reword commits, the branch is unchanged: ${error.message}`);
+    }
+}
+
+module.exports = {
+    runCommitReword
+};
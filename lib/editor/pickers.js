@@ -0,0 +1,99 @@
+/**
+ * Quick input helpers shared by the branch wizard and the commit composer.
+ */
+
+const vscode = require('vscode');
+
+// Pause in typing before the tracker is searched, in milliseconds
+const SEARCH_DELAY = 300;
+
+/**
+ * Quick pick that offers known items and also accepts typed text.
+ * `toTypedItem(value)` turns the typed text into an extra item shown first,
+ * or returns null when the text is not acceptable. The optional
+ * `search(value)` resolves more items for the typed text, shown before the
+ * known ones. Resolves the accepted item, or undefined when cancelled.
+ */
+function pickOrType({ title, placeholder, items, toTypedItem, search }) {
+    return new Promise(resolve => {
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.title = title;
+        quickPick.placeholder = placeholder;
+        quickPick.items = items;
+        let found = [];
+        let searchTimer = null;
+
+        const update = value => {
+            const listed = [...found, ...items.filter(item => !found.some(result => result.label === item.label))];
+            const typedItem = value.trim() ? toTypedItem(value.trim()) : null;
+            const known = typedItem && listed.some(item => item.label === typedItem.label);
+            quickPick.items = typedItem && !known ? [typedItem, ...listed] : listed;
+        };
+        const searchFor = value => {
+            quickPick.busy = true;
+            search(value.trim()).then(results => {
+                // Answers to text typed over since are dropped
+                if (quickPick.value === value) {
+                    found = results.map(item => ({ ...item, alwaysShow: true }));
+                    update(value);
+                    quickPick.busy = false;
+                }
+            }, () => {
+                quickPick.busy = false;
+            });
+        };
+
+        quickPick.onDidChangeValue(value => {
+            update(value);
+            if (search) {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => searchFor(value), SEARCH_DELAY);
+            }
+        });
+        quickPick.onDidAccept(() => {
+            const [item] = quickPick.selectedItems;
+            if (item) {
+                resolve(item);
+                quickPick.hide();
+            }
+        });
+        quickPick.onDidHide(() => {
+            clearTimeout(searchTimer);
+            resolve(undefined);
+            quickPick.dispose();
+        });
+        quickPick.show();
+        if (search) {
+            searchFor('');
+        }
+    });
+}
+
+/**
+ * Pick a recent ticket key or type a new one; with an issue `tracker`, typed
+ * text also searches it. Resolves the key.
+ */
+async function pickTicket(recentTickets, title, isTicket, tracker) {
+    const item = await pickOrType({
+        title,
+        placeholder: tracker
+            ? `Type a ticket key or search ${tracker.name}, or pick a recent one`
+            : 'Type a ticket key (e.g. APC-2876) or pick a recent one',
+        items: recentTickets.map(ticket => ({ label: ticket, description: 'recent' })),
+        toTypedItem: value => {
+            const typed = value.toUpperCase();
+            return isTicket(typed) ? { label: typed, description: 'new' } : null;
+        },
+        search: tracker && (async query => (await tracker.searchTickets(query)).map(ticket => ({
+            label: ticket.key,
+            description: ticket.status,
+            detail: ticket.title
+        })))
+    });
+    return item && item.label;
+}
+
+module.exports = {
+    pickOrType,
+    pickTicket
+};
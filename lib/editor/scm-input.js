@@ -0,0 +1,217 @@
+/**
+ * Live linting of the commit message typed into the Source Control input box.
+ *
+ * The SCM input box is a text document with the 'vscode-scm' scheme, so the
+ * commit rules can be reported on it as diagnostics while the user types. The
+ * "Commit (with validation)" action in the Source Control title bar reads the
+ * same input box through the git extension API and refuses to commit while
+ * the message has problems or names a ticket the issue tracker refuses,
+ * unless the message carries an allowed bypass marker, which is left to the
+ * git hooks to record. While the input box is empty it is prefilled with the
+ * ticket key of the checked-out branch, like the prepare-commit-msg hook.
+ */
+
+const vscode = require('vscode');
+const path = require('path');
+const rules = require('../rules');
+const naming = require('../naming');
+const bypasses = require('../bypass');
+const { prefillTicket } = require('../commit-builder');
+const { listStagedFiles } = require('../git');
+
+const SCM_INPUT_SCHEME = 'vscode-scm';
+
+// Value last prefilled into each repository's input box, by repository root
+const prefilledInputs = new Map();
+
+/**
+ * Get the git extension API, activating the built-in git extension if needed
+ */
+async function getGitApi() {
+    const extension = vscode.extensions.getExtension('vscode.git');
+    if (!extension) {
+        return null;
+    }
+    const exports = extension.isActive ? extension.exports : await extension.activate();
+    return exports.getAPI(1);
+}
+
+/**
+ * Repository root of an SCM input document (its URI carries a rootUri query parameter)
+ */
+function getInputRoot(document) {
+    const rootUri = new URLSearchParams(document.uri.query).get('rootUri');
+    return rootUri ? vscode.Uri.parse(rootUri).fsPath : null;
+}
+
+/**
+ * Repository rooted at `root`, or else the innermost one containing it (a
+ * workspace folder below the repository root), or undefined
+ */
+function findRepository(git, root) {
+    const containing = git.repositories
+        .filter(repo => {
+            const relative = path.relative(repo.rootUri.fsPath, root);
+            return !relative.startsWith('..') && !path.isAbsolute(relative);
+        })
+        .sort((a, b) => b.rootUri.fsPath.length - a.rootUri.fsPath.length);
+    return containing[0];
+}
+
+/**
+ * Convert validation problems and warnings into diagnostics on the lines they point at
+ */
+function toDiagnostics(document, result) {
+    if (result.error) {
+        return [new vscode.Diagnostic(new vscode.Range(0, 0, 0, 0), result.error, vscode.DiagnosticSeverity.Error)];
+    }
+    const toDiagnostic = severity => problem => {
+        const line = Math.min(problem.line, document.lineCount - 1);
+        const diagnostic = new vscode.Diagnostic(document.lineAt(line).range, problem.message, severity);
+        diagnostic.source = 'Validate Branch';
+        diagnostic.code = problem.rule;
+        return diagnostic;
+    };
+    return [
+        ...result.problems.map(toDiagnostic(vscode.DiagnosticSeverity.Error)),
+        ...result.warnings.map(toDiagnostic(vscode.DiagnosticSeverity.Warning))
+    ];
+}
+
+/**
+ * Register the SCM input linter and the validated commit action.
+ * `getConfig(workspacePath)` resolves the rules; `getWorkspacePath()` is the fallback root.
+ * `checkTicket(message, root)` resolves why the message's ticket is refused by the issue tracker, or null.
+ */
+function registerScmInputLinting(context, getConfig, getWorkspacePath, checkTicket) {
+    const diagnostics = vscode.languages.createDiagnosticCollection('validate-branch-scm');
+
+    function lint(document) {
+        if (document.uri.scheme !== SCM_INPUT_SCHEME) {
+            return;
+        }
+        const enabled = vscode.workspace.getConfiguration('validateBranch').get('lintScmInput', true);
+        const root = getInputRoot(document) || getWorkspacePath();
+        const config = getConfig(root);
+        const untouched = document.getText().trim() === (prefilledInputs.get(root) || '').trim();
+        if (!enabled || !config.enableCommitValidation || untouched) {
+            diagnostics.delete(document.uri);
+            return;
+        }
+        diagnostics.set(document.uri, toDiagnostics(document, rules.validateCommitMessage(document.getText(), config)));
+    }
+
+    vscode.workspace.textDocuments.forEach(lint);
+
+    const commitFromScm = vscode.commands.registerCommand('validate-branch.commitFromScm', async function (sourceControl) {
+        const git = await getGitApi();
+        if (!git || git.repositories.length === 0) {
+            vscode.window.showErrorMessage('No git repository found');
+            return;
+        }
+        const root = sourceControl && sourceControl.rootUri ? sourceControl.rootUri.fsPath : getWorkspacePath();
+        // Another repository of a multi-root workspace must never get the commit
+        const repository = findRepository(git, root);
+        if (!repository) {
+            vscode.window.showErrorMessage(`No git repository found for ${root}`);
+            return;
+        }
+        const message = repository.inputBox.value;
+        const config = getConfig(repository.rootUri.fsPath);
+        const bypassed = config.allowBypass && bypasses.getRequestedBypass({}, message) !== null;
+
+        const blocked = rules.checkProtectedBranch((repository.state.HEAD && repository.state.HEAD.name) || '', 'commit', config);
+        if (blocked && !bypassed) {
+            vscode.window.showErrorMessage(`❌ Commit blocked: ${blocked}`);
+            return;
+        }
+
+        let warnings = [];
+        if (config.enableCommitValidation && !bypassed) {
+            const stagedFiles = config.checkScopeFiles ? await listStagedFiles(repository.rootUri.fsPath).catch(() => undefined) : undefined;
+            const result = rules.validateCommitMessage(message, config, {}, stagedFiles);
+            if (!result.valid) {
+                const details = result.error ? [result.error] : result.problems.map(problem => problem.message);
+                vscode.window.showErrorMessage(`❌ Commit blocked:\n${details.join('\n')}`);
+                vscode.commands.executeCommand('workbench.view.scm');
+                return;
+            }
+            warnings = result.warnings;
+            const refusal = await checkTicket(message, repository.rootUri.fsPath);
+            if (refusal) {
+                vscode.window.showErrorMessage(`❌ Commit blocked: ${refusal}`);
+                return;
+            }
+        }
+
+        try {
+            await repository.commit(message);
+            repository.inputBox.value = '';
+            if (warnings.length > 0) {
+                vscode.window.showWarningMessage(`⚠️ Commit created with warnings:\n${warnings.map(warning => warning.message).join('\n')}`);
+            } else {
+                vscode.window.showInformationMessage('✅ Commit created successfully!');
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to commit: ${error.stderr || error.message}`);
+        }
+    });
+
+    context.subscriptions.push(
+        diagnostics,
+        commitFromScm,
+        vscode.workspace.onDidOpenTextDocument(lint),
+        vscode.workspace.onDidChangeTextDocument(event => lint(event.document)),
+        vscode.workspace.onDidCloseTextDocument(document => diagnostics.delete(document.uri)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('validateBranch')) {
+                vscode.workspace.textDocuments.forEach(lint);
+            }
+        })
+    );
+}
+
+/**
+ * Prefill empty Source Control input boxes with the ticket key of the checked-out
+ * branch, replacing an untouched prefill when another branch is checked out
+ */
+async function registerScmTicketPrefill(context, getConfig) {
+    const git = await getGitApi();
+    if (!git) {
+        return;
+    }
+    const heads = new Map();
+
+    function prefill(repository) {
+        const root = repository.rootUri.fsPath;
+        const head = repository.state.HEAD && repository.state.HEAD.name;
+        const current = repository.inputBox.value;
+        const untouched = current === '' || current === prefilledInputs.get(root);
+        if (!untouched || (current !== '' && head === heads.get(root))) {
+            return;
+        }
+        heads.set(root, head);
+
+        const config = getConfig(root);
+        const value = config.prefillTicket ? prefillTicket('', naming.extractTicket(head), config) : '';
+        prefilledInputs.set(root, value);
+        if (value !== current) {
+            repository.inputBox.value = value;
+        }
+    }
+
+    function watch(repository) {
+        prefill(repository);
+        context.subscriptions.push(repository.state.onDidChange(() => prefill(repository)));
+    }
+
+    git.repositories.forEach(watch);
+    context.subscriptions.push(git.onDidOpenRepository(watch));
+}
+
+module.exports = {
+    getGitApi,
+    toDiagnostics,
+    registerScmInputLinting,
+    registerScmTicketPrefill
+};
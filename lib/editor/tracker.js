@@ -0,0 +1,90 @@
+/**
+ * The issue tracker as the editor commands use it: the tracker configured for
+ * a folder, its token from VS Code's secret storage (or the
+ * VALIDATE_BRANCH_TRACKER_TOKEN environment variable), sent only to the
+ * tracker named in the user settings, and the ticket cache
+ * kept in the extension's global state so the last answers survive restarts
+ * and serve while offline.
+ */
+
+const vscode = require('vscode');
+const naming = require('../naming');
+const trackers = require('../trackers');
+
+// Secret storage key of the tracker token
+const TOKEN_SECRET = 'validateBranch.trackerToken';
+
+/**
+ * Register "Set Issue Tracker Token" and return { getTracker(workspacePath),
+ * checkTicket(text, workspacePath) } for the commands.
+ * `getConfig(workspacePath)` resolves the tracker settings.
+ */
+function registerTicketTracker(context, getConfig) {
+    const setToken = vscode.commands.registerCommand('validate-branch.setTrackerToken', async function () {
+        const token = await vscode.window.showInputBox({
+            title: 'Issue Tracker Token',
+            prompt: 'JIRA Cloud: email:api-token. JIRA Server, GitHub, GitLab and Linear: an access token. It is only sent to the tracker of your user settings. Leave empty to remove the token',
+            password: true,
+            ignoreFocusOut: true
+        });
+        if (token === undefined) {
+            return;
+        }
+        if (token.trim()) {
+            await context.secrets.store(TOKEN_SECRET, token.trim());
+            vscode.window.showInformationMessage('✅ Issue tracker token saved');
+        } else {
+            await context.secrets.delete(TOKEN_SECRET);
+            vscode.window.showInformationMessage('Issue tracker token removed');
+        }
+    });
+    context.subscriptions.push(setToken);
+
+    /**
+     * Tracker the token is for: the user settings alone, as workspace settings
+     * and the repository config file come with the repository
+     */
+    function getTokenTracker() {
+        const settings = vscode.workspace.getConfiguration('validateBranch');
+        const userValue = key => {
+            const { globalValue, defaultValue } = settings.inspect(key);
+            return globalValue !== undefined ? globalValue : defaultValue;
+        };
+        return { ticketTracker: userValue('ticketTracker'), ticketTrackerUrl: userValue('ticketTrackerUrl') };
+    }
+
+    /**
+     * Tracker of a folder, or null when ticketTracker is "none"
+     */
+    async function getTracker(workspacePath) {
+        const config = getConfig(workspacePath);
+        if (config.ticketTracker === 'none') {
+            return null;
+        }
+        const token = process.env[trackers.TOKEN_ENV] || await context.secrets.get(TOKEN_SECRET) || '';
+        return trackers.createTracker(config, { token, tokenTracker: getTokenTracker(), store: context.globalState });
+    }
+
+    /**
+     * Check the ticket key of a branch name or commit message against the tracker.
+     * Resolves the reason to refuse it, or null; a tracker that cannot answer only warns.
+     */
+    async function checkTicket(text, workspacePath) {
+        const tracker = await getTracker(workspacePath);
+        const key = tracker && naming.extractTicket(text);
+        if (!key) {
+            return null;
+        }
+        const result = await tracker.checkTicket(key);
+        if (result.state === 'unchecked') {
+            vscode.window.showWarningMessage(`⚠️ ${result.message}`);
+        }
+        return result.valid ? null : result.message;
+    }
+
+    return { getTracker, checkTicket };
+}
+
+module.exports = {
+    registerTicketTracker
+};
@@ -0,0 +1,370 @@
+/**
+ * Installing and removing the extension's git hooks without destroying hooks
+ * the repository already has.
+ *
+ * The extension's part of a hook is a block delimited by BLOCK_START and
+ * BLOCK_END. A missing hook is created with just that block. An existing
+ * shell hook (lint-staged, a team script) keeps its content and gets the
+ * block right after its shebang, so both run from the same file. Any other
+ * hook (node, python, a binary) is moved aside to a backup that the block
+ * chains to. Removal strips the block and puts a moved hook back.
+ *
+ * Where the hooks go depends on the hook manager: the directory git really
+ * runs hooks from (`git rev-parse --git-path hooks`, which follows
+ * core.hooksPath, worktrees and submodules), Husky's `.husky` scripts, or
+ * scripts under the git directory that lefthook-local.yml runs.
+ *
+ * The hooks find the Node hook runner at run time through RUNNER_LINK, a file
+ * in the common git directory naming this machine's copy, so the hook scripts
+ * themselves hold nothing machine-specific and Husky's can be committed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const BLOCK_START = '# >>> VS Code Validate Branch Extension >>>';
+const BLOCK_END = '# <<< VS Code Validate Branch Extension <<<';
+
+// Hooks written whole by earlier versions carry this line but no block markers
+const LEGACY_SIGNATURE = '# VS Code Validate Branch Extension';
+
+// Suffix of a hook moved aside so the extension's hook can chain to it
+const BACKUP_SUFFIX = '.validate-branch-backup';
+
+// Hooks the extension installs
+const HOOK_NAMES = ['pre-commit', 'prepare-commit-msg', 'commit-msg', 'post-checkout', 'pre-push'];
+
+// Where hooks can be installed; 'auto' picks Husky or lefthook when the repository uses them
+const HOOK_MANAGERS = ['auto', 'standalone', 'husky', 'lefthook'];
+
+// lefthook config files, checked in this order
+const LEFTHOOK_CONFIGS = ['lefthook.yml', '.lefthook.yml', 'lefthook.yaml', '.lefthook.yaml'];
+
+// Name of the command the extension adds to every lefthook hook
+const LEFTHOOK_COMMAND = 'validate-branch';
+
+// File under the common git directory holding the path of the hook runner, as the hooks read it
+const RUNNER_LINK = 'validate-branch/hook-runner';
+
+const BLOCK_PATTERN = new RegExp(`^${BLOCK_START}\\n[\\s\\S]*?^${BLOCK_END}\\n?`, 'm');
+
+// Shebangs of hooks the block can be inserted into
+const SHELL_SHEBANG = /^#!\s*(\/usr\/bin\/env\s+)?(\/usr)?(\/bin\/)?(sh|bash|dash|ksh|zsh)\b/;
+
+/**
+ * Wrap a hook body in the delimited block. The body runs in a subshell so its
+ * `exit` never skips the rest of a shared hook; with forwardStdin (pre-push)
+ * stdin is read once and replayed for the commands that follow the block.
+ */
+function buildBlock(body, { forwardStdin = false, chainTo = null } = {}) {
+    const lines = [BLOCK_START];
+    if (forwardStdin) {
+        lines.push(
+            'validate_branch_stdin=$(cat)',
+            'printf \'%s\\n\' "$validate_branch_stdin" | (',
+            body.trim(),
+            ') || exit $?',
+            'exec <<VALIDATE_BRANCH_STDIN',
+            '$validate_branch_stdin',
+            'VALIDATE_BRANCH_STDIN'
+        );
+    } else {
+        lines.push('(', body.trim(), ') || exit $?');
+    }
+    if (chainTo) {
+        lines.push(`exec "$0${BACKUP_SUFFIX}" "$@"`);
+    }
+    lines.push(BLOCK_END);
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Whether a hook file holds the extension's block, or is a whole-file legacy hook
+ */
+function isOwnHook(content) {
+    return BLOCK_PATTERN.test(content) || content.includes(LEGACY_SIGNATURE);
+}
+
+/**
+ * Install the block into a hook file. With options.shell the existing file is
+ * known to be a shell script even without a shebang (Husky's hook scripts).
+ * Returns 'created', 'updated', 'shared' (inserted into an existing shell hook)
+ * or 'chained' (the existing hook was moved to its backup and is called after the block).
+ */
+function installHook(hookPath, body, options = {}) {
+    const backupPath = hookPath + BACKUP_SUFFIX;
+    const existing = fs.existsSync(hookPath) ? fs.readFileSync(hookPath, 'utf8') : '';
+    const block = chainTo => buildBlock(body, { ...options, chainTo });
+
+    if (BLOCK_PATTERN.test(existing)) {
+        fs.writeFileSync(hookPath, existing.replace(BLOCK_PATTERN, () => block(fs.existsSync(backupPath))));
+        return 'updated';
+    }
+    if (existing.trim() === '' || existing.includes(LEGACY_SIGNATURE)) {
+        fs.writeFileSync(hookPath, `#!/bin/sh\n${block(false)}`, { mode: 0o755 });
+        fs.chmodSync(hookPath, 0o755);
+        return existing ? 'updated' : 'created';
+    }
+    if (options.shell || SHELL_SHEBANG.test(existing)) {
+        const newline = existing.indexOf('\n');
+        const shebang = !existing.startsWith('#!') ? '' : newline < 0 ? `${existing}\n` : existing.slice(0, newline + 1);
+        fs.writeFileSync(hookPath, `${shebang}${block(false)}${existing.slice(shebang.length)}`);
+        return 'shared';
+    }
+    if (fs.existsSync(backupPath)) {
+        throw new Error(`${backupPath} already exists; move it away before installing`);
+    }
+    fs.renameSync(hookPath, backupPath);
+    fs.writeFileSync(hookPath, `#!/bin/sh\n${block(true)}`, { mode: 0o755 });
+    return 'chained';
+}
+
+/**
+ * Remove the block from a hook file, restoring a hook that was moved aside.
+ * Returns 'removed', 'restored', 'unshared' (the rest of a shared hook was kept)
+ * or null when the file holds nothing of the extension.
+ */
+function removeHook(hookPath) {
+    const backupPath = hookPath + BACKUP_SUFFIX;
+    if (!fs.existsSync(hookPath)) {
+        return null;
+    }
+    const content = fs.readFileSync(hookPath, 'utf8');
+    if (!isOwnHook(content)) {
+        return null;
+    }
+
+    const rest = BLOCK_PATTERN.test(content) ? content.replace(BLOCK_PATTERN, '') : '';
+    const onlyShebang = rest.replace(/^#!.*\n?/, '').trim() === '';
+    if (!onlyShebang) {
+        fs.writeFileSync(hookPath, rest);
+        return 'unshared';
+    }
+    fs.unlinkSync(hookPath);
+    if (fs.existsSync(backupPath)) {
+        fs.renameSync(backupPath, hookPath);
+        return 'restored';
+    }
+    return 'removed';
+}
+
+/**
+ * Top-level directory, common git directory and hooks directory of the
+ * repository containing workspacePath. Falls back to <workspace>/.git/hooks
+ * when git is not available.
+ */
+function resolveGitPaths(workspacePath, env = process.env) {
+    try {
+        const output = execFileSync('git', ['rev-parse', '--show-toplevel', '--git-common-dir', '--git-path', 'hooks'], {
+            cwd: workspacePath,
+            env,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+        const [topLevel, commonDir, hooksDir] = output.trim().split('\n').map(line => path.resolve(workspacePath, line));
+        return { topLevel, commonDir, hooksDir };
+    } catch {
+        const commonDir = path.join(workspacePath, '.git');
+        return { topLevel: workspacePath, commonDir, hooksDir: path.join(commonDir, 'hooks') };
+    }
+}
+
+/**
+ * lefthook config file of the repository, or null
+ */
+function findLefthookConfig(paths) {
+    const fileName = LEFTHOOK_CONFIGS.find(name => fs.existsSync(path.join(paths.topLevel, name)));
+    return fileName ? path.join(paths.topLevel, fileName) : null;
+}
+
+/**
+ * Hook manager to use for 'auto': Husky when core.hooksPath points into
+ * .husky, lefthook when it has a config file, otherwise standalone hooks.
+ */
+function detectHookManager(paths) {
+    const relative = path.relative(path.join(paths.topLevel, '.husky'), paths.hooksDir);
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return 'husky';
+    }
+    return findLefthookConfig(paths) ? 'lefthook' : 'standalone';
+}
+
+/**
+ * Directory the extension's hook scripts are written to for a manager
+ */
+function getHookScriptsDir(paths, manager) {
+    if (manager === 'husky') {
+        return path.join(paths.topLevel, '.husky');
+    }
+    if (manager === 'lefthook') {
+        return path.join(paths.commonDir, 'validate-branch');
+    }
+    return paths.hooksDir;
+}
+
+/**
+ * Local, uncommitted lefthook config next to the main one (lefthook-local.yml)
+ */
+function getLefthookLocalConfig(paths) {
+    const main = findLefthookConfig(paths) || path.join(paths.topLevel, LEFTHOOK_CONFIGS[0]);
+    return path.join(path.dirname(main), path.basename(main).replace('lefthook', 'lefthook-local'));
+}
+
+/**
+ * Add or remove the extension's command in every hook of lefthook-local.yml,
+ * keeping the rest of the file and its comments
+ */
+function updateLefthookConfig(paths, scripts) {
+    const YAML = require('yaml');
+    const configPath = getLefthookLocalConfig(paths);
+    const exists = fs.existsSync(configPath);
+    if (!exists && !scripts) {
+        return;
+    }
+    const doc = exists ? YAML.parseDocument(fs.readFileSync(configPath, 'utf8')) : new YAML.Document({});
+    if (!YAML.isMap(doc.contents)) {
+        doc.contents = doc.createNode({});
+    }
+
+    HOOK_NAMES.forEach(name => {
+        const commandPath = [name, 'commands', LEFTHOOK_COMMAND];
+        if (scripts) {
+            const command = { run: `sh "${scripts[name]}" {1} {2} {3}` };
+            if (name === 'pre-push') {
+                command.use_stdin = true;
+            }
+            doc.setIn(commandPath, doc.createNode(command));
+            return;
+        }
+        doc.deleteIn(commandPath);
+        [[name, 'commands'], [name]].forEach(keyPath => {
+            const node = doc.getIn(keyPath);
+            if (YAML.isMap(node) && node.items.length === 0) {
+                doc.deleteIn(keyPath);
+            }
+        });
+    });
+
+    if (!scripts && doc.contents.items.length === 0) {
+        fs.unlinkSync(configPath);
+    } else {
+        fs.writeFileSync(configPath, doc.toString());
+    }
+}
+
+/**
+ * Path of the file naming the hook runner
+ */
+function getRunnerLinkPath(paths) {
+    return path.join(paths.commonDir, ...RUNNER_LINK.split('/'));
+}
+
+/**
+ * Hook runner the installed hooks call on this machine, or null when none was recorded
+ */
+function readHookRunner(paths) {
+    try {
+        return fs.readFileSync(getRunnerLinkPath(paths), 'utf8').trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Install hook bodies ({ name: { body, forwardStdin } }) for a manager, and
+ * record `runnerPath` as the hook runner they call when it is given.
+ * Returns { manager, dir, outcomes } with the installHook outcome per hook.
+ */
+function installHooks(paths, manager, hooks, runnerPath = null) {
+    const dir = getHookScriptsDir(paths, manager);
+    if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+        throw new Error(`${dir} is not a directory; check core.hooksPath`);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+
+    const outcomes = {};
+    const scripts = {};
+    Object.keys(hooks).forEach(name => {
+        scripts[name] = path.join(dir, name);
+        outcomes[name] = installHook(scripts[name], hooks[name].body, {
+            forwardStdin: hooks[name].forwardStdin,
+            shell: manager === 'husky'
+        });
+    });
+    if (manager === 'lefthook') {
+        updateLefthookConfig(paths, scripts);
+    }
+    if (runnerPath) {
+        fs.mkdirSync(path.dirname(getRunnerLinkPath(paths)), { recursive: true });
+        fs.writeFileSync(getRunnerLinkPath(paths), `${runnerPath}\n`);
+    }
+    return { manager, dir, outcomes };
+}
+
+/**
+ * Remove the extension's hooks from every place a manager may have put them.
+ * Returns the removeHook outcome per hook path that held the extension's block.
+ */
+function removeHooks(paths) {
+    const outcomes = {};
+    ['standalone', 'husky', 'lefthook'].forEach(manager => {
+        const dir = getHookScriptsDir(paths, manager);
+        HOOK_NAMES.forEach(name => {
+            const outcome = removeHook(path.join(dir, name));
+            if (outcome) {
+                outcomes[path.join(dir, name)] = outcome;
+            }
+        });
+    });
+    updateLefthookConfig(paths, null);
+    if (fs.existsSync(getRunnerLinkPath(paths))) {
+        fs.unlinkSync(getRunnerLinkPath(paths));
+    }
+    const lefthookDir = getHookScriptsDir(paths, 'lefthook');
+    if (fs.existsSync(lefthookDir) && fs.readdirSync(lefthookDir).length === 0) {
+        fs.rmdirSync(lefthookDir);
+    }
+    return outcomes;
+}
+
+/**
+ * Manager and directory of the installed hooks, found by the extension's
+ * pre-commit hook, or null when they are not installed
+ */
+function findInstalledHooks(paths) {
+    const manager = ['standalone', 'husky', 'lefthook'].find(candidate => {
+        const hookPath = path.join(getHookScriptsDir(paths, candidate), 'pre-commit');
+        return fs.existsSync(hookPath) && isOwnHook(fs.readFileSync(hookPath, 'utf8'));
+    });
+    return manager ? { manager, dir: getHookScriptsDir(paths, manager) } : null;
+}
+
+/**
+ * Whether the extension's pre-commit hook is installed for any manager
+ */
+function hooksInstalled(paths) {
+    return findInstalledHooks(paths) !== null;
+}
+
+module.exports = {
+    HOOK_NAMES,
+    HOOK_MANAGERS,
+    BLOCK_START,
+    BLOCK_END,
+    BACKUP_SUFFIX,
+    RUNNER_LINK,
+    buildBlock,
+    isOwnHook,
+    installHook,
+    removeHook,
+    resolveGitPaths,
+    detectHookManager,
+    getHookScriptsDir,
+    getLefthookLocalConfig,
+    readHookRunner,
+    installHooks,
+    removeHooks,
+    findInstalledHooks,
+    hooksInstalled
+};
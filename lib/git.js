@@ -0,0 +1,102 @@
+/**
+ * Runs git for the editor commands. Arguments are passed as an array and never
+ * go through a shell, so branch names and commit messages allowed by custom
+ * patterns (quotes, backticks, `$()`, several lines) reach git unchanged.
+ * Commit messages are written to git's stdin rather than the command line.
+ */
+
+const { execFile, execFileSync } = require('child_process');
+
+// Largest git output read, e.g. the log of a long audit range
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+
+/**
+ * Quote a value for use in a POSIX shell script, for what git itself runs
+ * through a shell: hook scripts, `exec` lines of a rebase todo list, sequence.editor
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Failed git command, with its arguments, exit code and stderr.
+ * The message is git's own error, e.g. "fatal: a branch named 'x' already exists".
+ */
+class GitError extends Error {
+    constructor(args, exitCode, stderr) {
+        super(stderr.trim() || `git ${args[0]} failed with exit code ${exitCode}`);
+        this.name = 'GitError';
+        this.args = args;
+        this.exitCode = exitCode;
+        this.stderr = stderr;
+    }
+}
+
+/**
+ * Run git with `args` in `cwd`, writing `input` to its stdin, and resolve its trimmed output
+ */
+function runGit(args, { cwd, input } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = execFile('git', args, { cwd, encoding: 'utf8', maxBuffer: MAX_GIT_OUTPUT }, (error, stdout, stderr) => {
+            if (!error) {
+                resolve(stdout.trim());
+            } else if (typeof error.code === 'number') {
+                reject(new GitError(args, error.code, stderr));
+            } else {
+                // git is missing, or its output was too large
+                reject(new GitError(args, null, `git ${args[0]} could not be run: ${error.message}`));
+            }
+        });
+        // Commands that read stdin would otherwise wait for it forever
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Run git with `args` in `cwd` synchronously and return its trimmed output, for
+ * the command line tool; failures throw the same GitError as runGit
+ */
+function runGitSync(args, { cwd } = {}) {
+    try {
+        return execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: MAX_GIT_OUTPUT, stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+    } catch (error) {
+        if (typeof error.status === 'number') {
+            throw new GitError(args, error.status, error.stderr || '');
+        }
+        throw new GitError(args, null, `git ${args[0]} could not be run: ${error.message}`);
+    }
+}
+
+/**
+ * Bind runGit to a repository: the returned `git(...args)` is what the wizards,
+ * the audit and the other commands talk to git through
+ */
+function createGit(cwd) {
+    return (...args) => runGit(args, { cwd });
+}
+
+/**
+ * Commit the staged changes with `message`, passed on stdin so it is used as written
+ */
+function commitWithMessage(message, cwd) {
+    return runGit(['commit', '-F', '-'], { cwd, input: `${message}\n` });
+}
+
+/**
+ * Paths staged for the next commit, relative to the repository root
+ */
+async function listStagedFiles(cwd) {
+    const output = await runGit(['diff', '--cached', '--name-only', '-z'], { cwd });
+    return output.split('\0').filter(Boolean);
+}
+
+module.exports = {
+    shellQuote,
+    GitError,
+    runGit,
+    runGitSync,
+    createGit,
+    commitWithMessage,
+    listStagedFiles
+};
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Entry point called by the generated git hooks.
+ *
+ *   node hook-runner.js branch <branch-name>
+ *   node hook-runner.js commit <commit-message-file>
+ *   node hook-runner.js prefill <commit-message-file> <branch-name>
+ *   node hook-runner.js protected <branch-name> <commit|push>
+ *
+ * The hook passes the editor settings captured at install time as JSON in the
+ * VALIDATE_BRANCH_SETTINGS environment variable; the repository config file is
+ * read at run time and takes precedence. Rules set to warning are printed
+ * without failing. Exits with 1 when validation fails
+ * or the commit or push goes to a blocked protected branch, and with 3 when an
+ * allowed bypass (see bypass.js) let such a failure through; prefill only
+ * edits the message file and never blocks the commit.
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const rules = require('./rules');
+const configLoader = require('./config');
+const naming = require('./naming');
+const bypasses = require('./bypass');
+const { resolveGitPaths } = require('./git-hooks');
+const { prefillTicket, removeUnusedPrefill } = require('./commit-builder');
+
+// Exit code of a failed check let through by a bypass; the hooks treat it as a pass
+const BYPASSED = 3;
+
+/**
+ * Resolve the configuration for the repository the hook runs in
+ */
+function readConfig(env, cwd, log) {
+    const settings = env.VALIDATE_BRANCH_SETTINGS ? JSON.parse(env.VALIDATE_BRANCH_SETTINGS) : undefined;
+    const { config, warnings } = configLoader.loadConfig(cwd, settings);
+    warnings.forEach(warning => log(`⚠️  ${warning}`));
+    return config;
+}
+
+/**
+ * Author and committer of the commit being made, as "Name <email>".
+ * git exports --author and the GIT_AUTHOR_* variables to the hooks, so git var sees them.
+ */
+function readIdentities(cwd) {
+    const identity = variable => {
+        try {
+            const output = execFileSync('git', ['var', variable], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+            return output.trim().replace(/ \d+ [+-]\d{4}$/, '');
+        } catch {
+            return undefined;
+        }
+    };
+    return { author: identity('GIT_AUTHOR_IDENT'), committer: identity('GIT_COMMITTER_IDENT') };
+}
+
+/**
+ * Paths the commit being made records. git points GIT_INDEX_FILE at the index
+ * it commits (a temporary one for `git commit -a` or with paths), so the diff
+ * against HEAD sees those files. An amend only sees what it adds.
+ */
+function readStagedFiles(cwd) {
+    try {
+        const output = execFileSync('git', ['diff', '--cached', '--name-only', '-z'], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+        return output.split('\0').filter(Boolean);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Print a validation failure the same way for branches and commits.
+ * Examples and the pattern are only shown when the convention itself was broken.
+ */
+function reportFailure(result, examples, log) {
+    if (result.error) {
+        log(`❌ ${result.error}`);
+        return;
+    }
+    result.problems.forEach(problem => log(`❌ ${problem.message}`));
+    if (!result.problems.some(problem => problem.rule === 'branch-pattern' || problem.rule === 'header-pattern')) {
+        return;
+    }
+    if (examples.length > 0) {
+        log('');
+        log('Examples:');
+        examples.forEach(example => log(`  ${example}`));
+    }
+    log('');
+    log(`Current pattern: ${result.pattern}`);
+}
+
+/**
+ * Print the problems of rules set to warning; they never fail the hook
+ */
+function reportWarnings(result, log) {
+    result.warnings.forEach(warning => log(`⚠️  ${warning.message}`));
+}
+
+/**
+ * Problem messages of a failed validation, for the bypass log
+ */
+function describeProblems(result) {
+    return result.error ? [result.error] : result.problems.map(problem => problem.message);
+}
+
+/**
+ * Exit code of a failed check: BYPASSED when a bypass was asked for and is
+ * allowed, in which case it is logged, otherwise 1. `entry` describes the check for the log.
+ */
+function failOrBypass(bypass, config, entry, cwd, log) {
+    if (!bypass) {
+        if (config.allowBypass) {
+            log('');
+            // Branch checks run before the commit message exists, so only the variable reaches them
+            const marker = entry.check === 'commit' ? `add ${bypasses.BYPASS_MARKER} to the commit message or ` : '';
+            log(`💡 To let this through and have it recorded, ${marker}set ${bypasses.BYPASS_ENV}="<reason>" for the git command`);
+        }
+        return 1;
+    }
+    if (!config.allowBypass) {
+        log(`⚠️  ${bypass.via} was ignored: bypasses are not allowed in this repository (allowBypass)`);
+        return 1;
+    }
+    const logFile = bypasses.recordBypass(resolveGitPaths(cwd).commonDir, {
+        ...entry,
+        via: bypass.via,
+        reason: bypass.reason,
+        user: readIdentities(cwd).author
+    });
+    log(`⚠️  Check bypassed with ${bypass.via}; recorded in ${logFile}`);
+    return BYPASSED;
+}
+
+/**
+ * Run a check and return the process exit code
+ */
+function run(argv, env, log, cwd = process.cwd()) {
+    const [kind, target, argument] = argv;
+    if (!target || !['branch', 'commit', 'prefill', 'protected'].includes(kind)) {
+        log('Usage: hook-runner.js branch <name> | commit <message-file> | prefill <message-file> <branch> | protected <branch> <commit|push>');
+        return 2;
+    }
+
+    const config = readConfig(env, cwd, log);
+    const bypass = bypasses.getRequestedBypass(env);
+
+    if (kind === 'protected') {
+        const reason = rules.checkProtectedBranch(target, argument, config);
+        if (reason) {
+            log(`❌ ${reason}`);
+            return failOrBypass(bypass, config, { check: `protected ${argument}`, target, problems: [reason] }, cwd, log);
+        }
+        return 0;
+    }
+
+    if (kind === 'prefill') {
+        if (config.prefillTicket) {
+            const message = fs.readFileSync(target, 'utf8');
+            const prefilled = prefillTicket(message, naming.extractTicket(argument), config);
+            if (prefilled !== message) {
+                fs.writeFileSync(target, prefilled);
+            }
+        }
+        return 0;
+    }
+
+    if (kind === 'branch') {
+        if (!config.enableBranchValidation) {
+            return 0;
+        }
+        const result = rules.validateBranchName(target, config);
+        reportWarnings(result, log);
+        if (!result.valid) {
+            reportFailure(result, rules.getBranchExamples(config), log);
+            return failOrBypass(bypass, config, { check: 'branch', target, problems: describeProblems(result) }, cwd, log);
+        }
+        return 0;
+    }
+
+    // The raw file still holds git's comment lines; the parser strips them
+    const raw = fs.readFileSync(target, 'utf8');
+    const commitBypass = bypass || bypasses.getRequestedBypass({}, raw);
+    const unmarked = config.allowBypass ? bypasses.removeMarker(raw) : raw;
+    const message = config.prefillTicket ? removeUnusedPrefill(unmarked) : unmarked;
+    if (message !== raw) {
+        fs.writeFileSync(target, message);
+    }
+
+    let code = 0;
+    if (config.enableCommitValidation) {
+        const identities = config.ignoredAuthors.length > 0 ? readIdentities(cwd) : {};
+        const stagedFiles = config.checkScopeFiles ? readStagedFiles(cwd) : undefined;
+        const result = rules.validateCommitMessage(message, config, identities, stagedFiles);
+        reportWarnings(result, log);
+        if (!result.valid) {
+            reportFailure(result, rules.getCommitExamples(config), log);
+            const header = result.parsed && result.parsed.header ? result.parsed.header.text : '';
+            code = failOrBypass(commitBypass, config, { check: 'commit', target: header, problems: describeProblems(result) }, cwd, log);
+        }
+    }
+    // Only a failure actually let through (and logged) gets the trailer
+    if (code === BYPASSED && config.bypassTrailer) {
+        try {
+            bypasses.addBypassTrailer(target, commitBypass, cwd);
+        } catch (error) {
+            log(`⚠️  The ${bypasses.BYPASS_TRAILER} trailer could not be added: ${error.message.trim()}`);
+        }
+    }
+    return code;
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2), process.env, console.log);
+}
+
+module.exports = { run };
@@ -0,0 +1,291 @@
+/**
+ * Contents of the git hooks: shell scripts that hand each check over to the
+ * Node hook runner. Shared by the extension's "Install Git Hooks" command and
+ * the command line tool, and installed with git-hooks.js.
+ *
+ * Every hook starts with a stamp naming the extension version and a hash of
+ * the generated hooks, so installed hooks that no longer match the settings
+ * or the extension's version can be found and rewritten. The hooks look up
+ * the hook runner when they run (see git-hooks.js), so hooks installed by the
+ * command line tool from another copy of the package match those of the
+ * extension. Husky's hooks are committed and shared by the team, so they get
+ * no editor settings either: they go by the repository config file alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const gitHooks = require('./git-hooks');
+const { shellQuote } = require('./git');
+const { version: EXTENSION_VERSION } = require('../package.json');
+
+// Node entry point the generated git hooks call into
+const HOOK_RUNNER_PATH = path.join(__dirname, 'hook-runner.js');
+
+// Stamp line at the top of every generated hook: extension version and hash of the hooks
+const STAMP_PATTERN = /^# Validate Branch hooks (\S+) ([0-9a-f]{12})$/m;
+
+/**
+ * Generate the shell setup that hands validation over to the Node hook runner.
+ * Without one recorded on this machine, the runner of a validate-branch
+ * dev dependency of the repository is used.
+ */
+function generateRunnerSetup(settings) {
+    const exportSettings = settings ? `
+VALIDATE_BRANCH_SETTINGS=${shellQuote(JSON.stringify(settings))}
+export VALIDATE_BRANCH_SETTINGS` : '';
+    return `${exportSettings}
+hook_runner=$(cat "$(git rev-parse --git-common-dir)/${gitHooks.RUNNER_LINK}" 2>/dev/null)
+[ -f "$hook_runner" ] || hook_runner="$(git rev-parse --show-toplevel)/node_modules/validate-branch/lib/hook-runner.js"
+
+run_validator() {
+    if ! command -v node >/dev/null 2>&1 || [ ! -f "$hook_runner" ]; then
+        # Not blocking: the hooks may be shared with teammates who have neither
+        if [ -z "$runner_missing_reported" ]; then
+            runner_missing_reported=1
+            echo ""
+            echo "⚠️  Validate Branch: node or the hook runner was not found. NOTHING IS BEING VALIDATED."
+            echo "💡 Reinstall the hooks with 'Validate Branch: Install Git Hooks' in VS Code or 'npx validate-branch install-hooks',"
+            echo "💡 or add validate-branch to the repository's devDependencies."
+            echo ""
+        fi
+        return 0
+    fi
+    status=0
+    node "$hook_runner" "$@" || status=$?
+    # 3: the check failed but an allowed bypass let it through
+    if [ "$status" -eq 3 ]; then
+        validation_bypassed=1
+        return 0
+    fi
+    return "$status"
+}`;
+}
+
+/**
+ * Generate branch validation script
+ */
+function generateBranchValidationScript(settings) {
+    return `${generateRunnerSetup(settings)}
+
+validate_branch_name() {
+    run_validator branch "$1"
+}
+
+check_protected_branch() {
+    run_validator protected "$1" "$2"
+}`;
+}
+
+/**
+ * Generate commit validation script
+ */
+function generateCommitValidationScript(settings) {
+    return `${generateRunnerSetup(settings)}
+
+validate_commit_message_file() {
+    run_validator commit "$1"
+}`;
+}
+
+/**
+ * Generate the ticket prefill script
+ */
+function generatePrefillScript(settings) {
+    return `${generateRunnerSetup(settings)}
+
+prefill_commit_message_file() {
+    run_validator prefill "$1" "$2"
+}`;
+}
+
+/**
+ * Build the hooks to install for `manager`, keyed by hook name. `settings` are
+ * baked in as the fallback, except into Husky's shared hooks; the hooks read
+ * the repository config file themselves at run time.
+ */
+function buildHookScripts(settings, manager) {
+    if (manager === 'husky') {
+        settings = null;
+    }
+
+    // Pre-commit hook - validates branch name before commit
+    const preCommitContent = `# VS Code Validate Branch Extension - Pre-commit hook
+# This hook validates the current branch name before allowing commits
+
+${generateBranchValidationScript(settings)}
+
+current_branch=$(git branch --show-current 2>/dev/null || git rev-parse --abbrev-ref HEAD 2>/dev/null)
+
+if [ -n "$current_branch" ] && [ "$current_branch" != "HEAD" ]; then
+    if ! check_protected_branch "$current_branch" commit; then
+        echo ""
+        echo "💡 Tip: Create a branch for your work: git checkout -b <new-valid-name>"
+        exit 1
+    fi
+    if ! validate_branch_name "$current_branch"; then
+        echo ""
+        echo "💡 Tip: Use 'Validate Branch: Fix Current Branch Name' command in VS Code to rename it to a valid name."
+        echo "💡 Or rename this branch: git branch -m <new-valid-name>"
+        exit 1
+    fi
+fi
+
+[ -n "$validation_bypassed" ] || echo "✅ Branch name validation passed"
+`;
+
+    // Prepare commit message hook - prefixes the message with the branch's ticket key
+    const prepareCommitMsgContent = `# VS Code Validate Branch Extension - Prepare commit message hook
+# This hook adds the ticket key from the branch name to new commit messages
+
+${generatePrefillScript(settings)}
+
+# Arguments: message_file [source [sha]]
+# Leave merges, squashes and amended or reused commits (--amend, -c, -C) untouched.
+# "git commit --amend -m ..." is reported as a new message, so that one is prefilled.
+case "$2" in
+    merge|squash|commit) exit 0 ;;
+esac
+
+current_branch=$(git branch --show-current 2>/dev/null)
+
+if [ -n "$current_branch" ]; then
+    prefill_commit_message_file "$1" "$current_branch"
+fi
+`;
+
+    // Commit message hook - validates commit message format
+    const commitMsgContent = `# VS Code Validate Branch Extension - Commit message hook
+# This hook validates commit messages
+
+${generateCommitValidationScript(settings)}
+
+if ! validate_commit_message_file "$1"; then
+    echo ""
+    echo "💡 Tip: Use 'Validate Branch: Create Commit' command in VS Code for guided commit creation."
+    exit 1
+fi
+
+[ -n "$validation_bypassed" ] || echo "✅ Commit message validation passed"
+`;
+
+    // Pre-push hook - validates branch name before pushing
+    const prePushContent = `# VS Code Validate Branch Extension - Pre-push hook
+# This hook validates branch names before they are pushed to remote
+
+${generateBranchValidationScript(settings)}
+
+# Read from stdin: local_ref local_sha remote_ref remote_sha
+while read local_ref local_sha remote_ref remote_sha; do
+    # Pushes (and deletions) of protected remote branches can be blocked
+    if [ "\${remote_ref#refs/heads/}" != "$remote_ref" ]; then
+        if ! check_protected_branch "\${remote_ref#refs/heads/}" push; then
+            echo ""
+            echo "💡 Tip: Push a feature branch and open a pull request instead."
+            exit 1
+        fi
+    fi
+    
+    # Extract branch name from ref; tags and deletions are not branch names
+    if [ "\${local_ref#refs/heads/}" != "$local_ref" ]; then
+        branch_name=$(echo "$local_ref" | sed 's|^refs/heads/||')
+        
+        if [ -n "$branch_name" ]; then
+            if ! validate_branch_name "$branch_name"; then
+                echo ""
+                echo "💡 Tip: Rename your branch before pushing: git branch -m <new-valid-name>"
+                echo "💡 Or use 'Validate Branch: Fix Current Branch Name' command in VS Code to rename it and update the remote."
+                exit 1
+            fi
+        fi
+    fi
+done
+
+[ -n "$validation_bypassed" ] || echo "✅ Branch name validation passed for push"
+`;
+
+    // Post-checkout hook - warns about invalid branch names after checkout/creation
+    const postCheckoutContent = `# VS Code Validate Branch Extension - Post-checkout hook
+# This hook warns about invalid branch names after checkout or branch creation
+
+${generateBranchValidationScript(settings)}
+
+# Arguments: previous_head new_head branch_flag
+previous_head=$1
+new_head=$2
+branch_flag=$3
+
+# This hook only warns, so there is nothing to bypass or log
+unset VALIDATE_BRANCH_SKIP
+
+# Only validate if this is a branch checkout (branch_flag = 1)
+if [ "$branch_flag" = "1" ]; then
+    current_branch=$(git branch --show-current 2>/dev/null || git rev-parse --abbrev-ref HEAD 2>/dev/null)
+    
+    if [ -n "$current_branch" ] && [ "$current_branch" != "HEAD" ]; then
+        if ! validate_branch_name "$current_branch"; then
+            echo ""
+            echo "⚠️  WARNING: Branch name '$current_branch' doesn't follow naming conventions!"
+            echo "💡 This branch will be blocked from commits and pushes until renamed."
+            echo "💡 To rename: git branch -m <new-valid-name>"
+            echo "💡 Or use 'Validate Branch: Fix Current Branch Name' command in VS Code to rename it to a valid name."
+            echo ""
+        else
+            echo "✅ Branch name follows the naming convention"
+        fi
+    fi
+fi
+`;
+    
+    const hooks = {
+        'pre-commit': { body: preCommitContent },
+        'prepare-commit-msg': { body: prepareCommitMsgContent },
+        'commit-msg': { body: commitMsgContent },
+        'post-checkout': { body: postCheckoutContent },
+        'pre-push': { body: prePushContent, forwardStdin: true }
+    };
+    const hash = crypto.createHash('sha256').update(JSON.stringify(hooks)).digest('hex').slice(0, 12);
+    Object.values(hooks).forEach(hook => {
+        hook.body = `# Validate Branch hooks ${EXTENSION_VERSION} ${hash}\n${hook.body}`;
+    });
+    return hooks;
+}
+
+/**
+ * Version and hash stamped into a hook's content, or null for hooks of earlier versions
+ */
+function readHookStamp(content) {
+    const match = content.match(STAMP_PATTERN);
+    return match ? { version: match[1], hash: match[2] } : null;
+}
+
+/**
+ * Compare the installed hooks with `hooks` (from buildHookScripts) installed for
+ * `manager`. Returns null when no hooks are installed, otherwise { manager,
+ * version, stale } where stale means a hook is missing, was generated from
+ * other settings or by another version, is installed for another manager, or
+ * the hook runner they call on this machine is gone (an uninstalled or
+ * updated extension, or hooks installed on another machine).
+ */
+function checkInstalledHooks(paths, manager, hooks) {
+    const installed = gitHooks.findInstalledHooks(paths);
+    if (!installed) {
+        return null;
+    }
+    const stamps = Object.keys(hooks).map(name => {
+        const hookPath = path.join(installed.dir, name);
+        return fs.existsSync(hookPath) ? readHookStamp(fs.readFileSync(hookPath, 'utf8')) : null;
+    });
+    const expected = readHookStamp(Object.values(hooks)[0].body);
+    const runner = gitHooks.readHookRunner(paths);
+    const stale = installed.manager !== manager || !runner || !fs.existsSync(runner)
+        || stamps.some(stamp => !stamp || stamp.hash !== expected.hash || stamp.version !== expected.version);
+    return { manager: installed.manager, version: stamps[0] ? stamps[0].version : null, stale };
+}
+
+module.exports = {
+    HOOK_RUNNER_PATH,
+    buildHookScripts,
+    readHookStamp,
+    checkInstalledHooks
+};
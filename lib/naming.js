@@ -0,0 +1,184 @@
+/**
+ * Building branch names from their parts: type, ticket key, user and a
+ * slug derived from a free-form title. Used by the branch wizard and any
+ * other code that has to produce a name the active preset accepts.
+ */
+
+// Ticket keys as the JIRA presets accept them, e.g. APC-2876
+const TICKET_PATTERN = /\b([A-Z]+-[0-9]+)\b/;
+
+// Longest slug the wizard produces
+const MAX_SLUG_LENGTH = 50;
+
+// Spellings of branch types found in free-form names, grouped with the preset types they mean
+const TYPE_ALIASES = [
+    ['feature', 'feat', 'features'],
+    ['bugfix', 'fix', 'bug', 'bugs', 'fixes'],
+    ['hotfix', 'hotfixes'],
+    ['docs', 'doc', 'documentation'],
+    ['chore', 'chores'],
+    ['test', 'tests'],
+    ['refactor', 'refactoring'],
+    ['perf', 'performance'],
+    ['release', 'releases'],
+    ['build'],
+    ['ci'],
+    ['style'],
+    ['revert'],
+    ['support']
+];
+
+/**
+ * Turn free-form text into a branch-safe slug: lowercase, accents removed,
+ * words joined by hyphens, cut at a word boundary within maxLength.
+ * Dots are kept between digits so versions like 1.2.0 survive.
+ */
+function slugify(text, maxLength = MAX_SLUG_LENGTH) {
+    let slug = text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/(\d)\.(?=\d)/g, '$1\u0000')
+        .replace(/[^a-z0-9\u0000]+/g, '-')
+        .replace(/\u0000/g, '.')
+        .replace(/^-+|-+$/g, '');
+
+    if (slug.length > maxLength) {
+        const cut = slug.slice(0, maxLength + 1);
+        const boundary = cut.lastIndexOf('-');
+        slug = (boundary > 0 ? cut.slice(0, boundary) : slug.slice(0, maxLength)).replace(/-+$/, '');
+    }
+    return slug;
+}
+
+/**
+ * Fill a branch template such as '{type}/{ticket}-{slug}' with its parts
+ */
+function buildBranchName(template, parts) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => parts[key] || '');
+}
+
+/**
+ * Names of the parts a template needs, in order
+ */
+function getTemplateParts(template) {
+    return (template.match(/\{(\w+)\}/g) || []).map(token => token.slice(1, -1));
+}
+
+/**
+ * Extract the first ticket key from a branch name or message
+ */
+function extractTicket(text) {
+    const match = TICKET_PATTERN.exec(text || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Collect distinct ticket keys from texts (branch names, commit subjects), keeping their order
+ */
+function findTickets(texts) {
+    const tickets = [];
+    texts.forEach(text => {
+        const pattern = new RegExp(TICKET_PATTERN.source, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (!tickets.includes(match[1])) {
+                tickets.push(match[1]);
+            }
+        }
+    });
+    return tickets;
+}
+
+/**
+ * Preset type meant by a word such as 'feat' or 'bug', or null
+ */
+function matchType(word, types) {
+    const lower = word.toLowerCase();
+    if (types.includes(lower)) {
+        return lower;
+    }
+    const group = TYPE_ALIASES.find(aliases => aliases.includes(lower));
+    return (group && types.find(type => group.includes(type))) || null;
+}
+
+/**
+ * Whether a word names a branch type in any preset
+ */
+function isTypeWord(word) {
+    return TYPE_ALIASES.some(aliases => aliases.includes(word.toLowerCase()));
+}
+
+/**
+ * Ticket key in a name, also written in lowercase (apc-12) as long as it is not a type word (fix-2)
+ */
+function findLooseTicket(name) {
+    const strict = extractTicket(name);
+    if (strict) {
+        return { ticket: strict, text: strict };
+    }
+    const pattern = /(?:^|[^a-z0-9])([a-z]+)-([0-9]+)(?![0-9])/gi;
+    let match;
+    while ((match = pattern.exec(name)) !== null) {
+        if (!isTypeWord(match[1])) {
+            return { ticket: `${match[1].toUpperCase()}-${match[2]}`, text: `${match[1]}-${match[2]}` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Recover the parts of a branch name that breaks the preset, e.g.
+ * 'Feat/apc-12_Login Page' gives { type: 'feature', ticket: 'APC-12', slug: 'login-page' }
+ * for JIRA types. A leading folder that is not a type is taken as the user;
+ * parts that cannot be found are left out.
+ */
+function inferBranchParts(name, types) {
+    const parts = {};
+    let rest = name;
+
+    const found = findLooseTicket(rest);
+    if (found) {
+        parts.ticket = found.ticket;
+        rest = rest.replace(found.text, '-');
+    }
+
+    const segments = rest.split('/');
+    const slugSegments = [];
+    segments.slice(0, -1).forEach(segment => {
+        const type = matchType(segment, types);
+        if (type && !parts.type) {
+            parts.type = type;
+        } else if (!parts.user && !isTypeWord(segment) && slugify(segment, 30)) {
+            parts.user = slugify(segment, 30);
+        } else {
+            slugSegments.push(segment);
+        }
+    });
+
+    // A type written as the first word instead of a folder, e.g. 'fix-login'
+    let slugText = [...slugSegments, segments[segments.length - 1]].join('-');
+    const leading = /^[^a-z0-9]*([a-z]+)(?=[^a-z0-9]|$)/i.exec(slugText);
+    if (!parts.type && leading && matchType(leading[1], types)) {
+        parts.type = matchType(leading[1], types);
+        slugText = slugText.slice(leading[0].length);
+    }
+
+    const slug = slugify(slugText);
+    if (slug) {
+        parts.slug = slug;
+    }
+    return parts;
+}
+
+module.exports = {
+    TICKET_PATTERN,
+    MAX_SLUG_LENGTH,
+    slugify,
+    buildBranchName,
+    getTemplateParts,
+    extractTicket,
+    findTickets,
+    matchType,
+    inferBranchParts
+};
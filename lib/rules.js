@@ -0,0 +1,675 @@
+/**
+ * Shared validation rules for branch names and commit messages.
+ *
+ * This module is loaded by the extension commands, by the generated git hooks
+ * (through hook-runner.js) and by the tests, so it must not depend on 'vscode'.
+ */
+
+const { parseCommitMessage } = require('./commit-message');
+const { findTickets } = require('./naming');
+
+// Branch naming conventions; `template` and `types` drive the branch wizard
+const BRANCH_PRESETS = {
+    jira: {
+        template: '{type}/{ticket}-{slug}',
+        types: ['feature', 'bugfix', 'hotfix', 'release', 'chore'],
+        pattern: '^(feature|bugfix|hotfix|release|chore)/[A-Z]+-[0-9]+-[a-z0-9-]+$',
+        examples: [
+            'feature/APC-2876-user-auth',
+            'bugfix/APC-1234-login-fix',
+            'hotfix/APC-5678-security-patch',
+            'release/APC-9999-v2-release',
+            'chore/APC-1111-update-deps'
+        ]
+    },
+    gitflow: {
+        template: '{type}/{slug}',
+        types: ['feature', 'bugfix', 'hotfix', 'release', 'support'],
+        pattern: '^((feature|bugfix|hotfix|support)/[a-z0-9][a-z0-9-]*|release/v?[0-9]+(\\.[0-9]+){1,2}(-[a-z0-9.]+)?)$',
+        examples: [
+            'feature/user-authentication',
+            'bugfix/login-error',
+            'hotfix/security-patch',
+            'release/v1.2.0',
+            'support/v1-maintenance'
+        ]
+    },
+    conventional: {
+        template: '{type}/{slug}',
+        types: ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'],
+        pattern: '^(build|chore|ci|docs|feat|fix|perf|refactor|revert|style|test)/[a-z0-9][a-z0-9-]*$',
+        examples: [
+            'feat/user-login',
+            'fix/button-styling',
+            'docs/readme-update',
+            'refactor/api-cleanup'
+        ]
+    },
+    trunk: {
+        template: '{user}/{slug}',
+        types: [],
+        pattern: '^[a-z0-9][a-z0-9._-]*/[a-z0-9][a-z0-9-]*$',
+        examples: [
+            'jdoe/user-login',
+            'alice/fix-button-styling',
+            'bob.smith/update-deps'
+        ]
+    },
+    simple: {
+        template: '{slug}',
+        types: [],
+        pattern: '^[a-z0-9][a-z0-9/._-]{2,49}$',
+        examples: [
+            'user-authentication',
+            'fix-login-bug',
+            'update-documentation'
+        ]
+    }
+};
+
+// Commit message conventions; `template`, `types` and `scope` ('required',
+// 'optional' or 'none') drive the commit composer
+const COMMIT_PRESETS = {
+    jira: {
+        template: '[{ticket}] {type}{scope}: {subject}',
+        types: ['feat', 'fix', 'docs', 'style', 'refactor', 'test', 'chore'],
+        scope: 'required',
+        pattern: '^\\[[A-Z]+-[0-9]+\\] (feat|fix|docs|style|refactor|test|chore)\\([a-z0-9-]+\\): .{1,80}$',
+        examples: [
+            '[APC-2356] feat(auth): Add Login Functionality',
+            '[APC-1234] fix(ui): Resolve button alignment issue',
+            '[APC-5678] docs(readme): Update installation guide',
+            '[APC-9999] refactor(api): Simplify user service'
+        ]
+    },
+    // Conventional Commits 1.0: type(scope)!: description, header up to 100 characters
+    conventional: {
+        template: '{type}{scope}{breaking}: {subject}',
+        types: ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'],
+        scope: 'optional',
+        pattern: '^(?=.{1,100}$)(build|chore|ci|docs|feat|fix|perf|refactor|revert|style|test)(\\([^()\\s]+\\))?!?: \\S.*$',
+        examples: [
+            'feat: add user authentication',
+            'fix(ui): resolve login button issue',
+            'docs: update README with setup instructions',
+            'feat(api)!: drop support for v1 endpoints'
+        ]
+    },
+    // Angular: optional scope, lowercase summary without a trailing period
+    angular: {
+        template: '{type}{scope}: {subject}',
+        types: ['feat', 'fix', 'docs', 'refactor', 'perf', 'test', 'build', 'ci'],
+        scope: 'optional',
+        pattern: '^(?=.{1,100}$)(build|ci|docs|feat|fix|perf|refactor|test)(\\([a-z0-9-]+\\))?: [a-z].*[^.]$',
+        examples: [
+            'feat(auth): add user login functionality',
+            'fix(ui): resolve button alignment issue',
+            'docs: update contributing guidelines',
+            'test(auth): add login unit tests'
+        ]
+    },
+    // Gitmoji: :shortcode: or the emoji itself, optional scope, then the message
+    gitmoji: {
+        template: '{type} {subject}',
+        types: [':sparkles:', ':bug:', ':memo:', ':recycle:', ':art:', ':zap:', ':white_check_mark:', ':wrench:', ':arrow_up:', ':fire:', ':lock:', ':rocket:', ':boom:'],
+        scope: 'none',
+        pattern: '^(:[a-z0-9_+-]+:|[\\u2190-\\u2BFF]\\uFE0F?|[\\uD83C-\\uD83E][\\uDC00-\\uDFFF]\\uFE0F?)( \\([a-z0-9-]+\\):?)? \\S.{0,99}$',
+        examples: [
+            ':sparkles: Add user authentication',
+            ':bug: (ui) Fix login button alignment',
+            '📝 Update installation guide',
+            '♻️ Simplify user service'
+        ]
+    },
+    simple: {
+        template: '{subject}',
+        types: [],
+        scope: 'none',
+        pattern: '^.{10,72}$',
+        examples: [
+            'Add user authentication feature',
+            'Fix login button styling issue',
+            'Update documentation with new API'
+        ]
+    }
+};
+
+const DEFAULT_PRESET = 'jira';
+
+const DEFAULT_CONFIG = {
+    branchPattern: DEFAULT_PRESET,
+    commitPattern: DEFAULT_PRESET,
+    enableBranchValidation: true,
+    enableCommitValidation: true,
+    customBranchPattern: '',
+    customCommitPattern: '',
+    // Commit message structure; 0 disables a length limit
+    headerMaxLength: 0,
+    bodyMaxLineLength: 100,
+    requireBlankLine: true,
+    // Allowed footer tokens (e.g. "Refs", "BREAKING CHANGE"); empty allows any
+    allowedTrailers: [],
+    // Allowlists; empty allows any. Project keys of ticket keys (e.g. "APC" for APC-12), commit types and scopes
+    allowedProjectKeys: [],
+    allowedCommitTypes: [],
+    allowedScopes: [],
+    // Scope of the files matching each glob, CODEOWNERS-style, e.g. { "packages/auth/**": "auth" }; its scopes are allowed too
+    scopeMap: {},
+    // Add every workspace package to scopeMap, named after its directory
+    scopesFromPackages: false,
+    // Check the staged files of a commit against the scope of its header, using scopeMap
+    checkScopeFiles: false,
+    // Start commit messages with the ticket key found in the branch name
+    prefillTicket: true,
+    // Issue tracker checking that ticket keys exist: none, jira, github, gitlab or linear
+    ticketTracker: 'none',
+    // Base URL of the tracker; empty uses the hosted service (JIRA needs one)
+    ticketTrackerUrl: '',
+    // JIRA project key limiting searches, GitHub "owner/repo" or GitLab "group/project"
+    ticketTrackerProject: '',
+    // Statuses a referenced ticket may be in, e.g. ["In Progress", "In Review"]; empty allows any
+    allowedTicketStatuses: [],
+    // Where hooks are installed: auto, standalone, husky or lefthook
+    hookManager: 'auto',
+    // Rewrite installed hooks when the settings or the config file change
+    autoUpdateHooks: true,
+    // Branch globs (e.g. "dependabot/**") whose names are not checked
+    exemptBranches: [],
+    // Branch globs (e.g. "main", "release/*") that are exempt and can be closed to direct commits and pushes
+    protectedBranches: [],
+    blockCommitsToProtected: false,
+    blockPushesToProtected: false,
+    // Patterns replacing the convention for branches matching a glob, e.g. { "release/*": "^release/v[0-9]+\\.[0-9]+\\.[0-9]+$" }
+    branchTypePatterns: {},
+    // Skip the messages git writes itself: merges, reverts, fixup!, squash! and amend!
+    ignoreGitCommits: true,
+    // Headers of commits that are not checked, as regular expressions, e.g. "^chore\\(release\\): "
+    ignoredCommitPatterns: [],
+    // Authors or committers ("Name <email>") whose commits are not checked, as regular expressions, e.g. "\\[bot\\]"
+    ignoredAuthors: [],
+    // Let [skip-validate] or VALIDATE_BRANCH_SKIP through the hooks, logging each use
+    allowBypass: false,
+    // Add a Validation-Bypassed trailer to commits made with a bypass
+    bypassTrailer: false,
+    // Severity per rule name, e.g. { "header-max-length": "warning" }; rules not listed are errors
+    ruleSeverity: {}
+};
+
+// Rules the problems of a validation result can break
+const RULE_NAMES = [
+    'branch-pattern',
+    'branch-type-pattern',
+    'header-empty',
+    'header-pattern',
+    'header-max-length',
+    'body-leading-blank',
+    'body-max-line-length',
+    'footer-trailer',
+    'ticket-project',
+    'commit-type',
+    'commit-scope',
+    'scope-files'
+];
+
+// Severities a rule can have; warnings are reported without failing validation
+const SEVERITIES = ['error', 'warning', 'off'];
+
+// Type and scope of a `type(scope)!: subject` header, after an optional "[APC-12] " ticket prefix
+const HEADER_PARTS_PATTERN = /^(?:\[[^\]]*\]\s*)?([A-Za-z]+)(?:\(([^()]*)\))?!?:/;
+
+// Most allowed values listed when none is close to the one written
+const MAX_LISTED = 10;
+
+// Headers of the messages git (or a hosting service merging a pull request) writes itself
+const GIT_COMMIT_PATTERNS = [
+    /^Merge (branch|branches|remote-tracking branch|tag|commit|pull request) /,
+    /^Merge '[^']+' into /,
+    /^(Revert|Reapply) ".*"$/,
+    /^(fixup|squash|amend)! /
+];
+
+/**
+ * Resolve the rule (pattern, examples and the template, types and scope
+ * usage the wizards build names from) for a convention. 'custom' uses the custom pattern when one is set and has
+ * no template; an unknown convention or an empty custom pattern falls back to
+ * the default preset.
+ */
+function resolveRule(presets, convention, customPattern) {
+    if (convention === 'custom' && customPattern) {
+        return { convention, pattern: customPattern, examples: [], template: null, types: [], scope: 'none' };
+    }
+    const name = presets[convention] ? convention : DEFAULT_PRESET;
+    return { convention: name, template: null, types: [], scope: 'none', ...presets[name] };
+}
+
+/**
+ * Get the branch rule for a configuration
+ */
+function getBranchRule(config) {
+    return resolveRule(BRANCH_PRESETS, config.branchPattern, config.customBranchPattern);
+}
+
+/**
+ * Get the commit rule for a configuration
+ */
+function getCommitRule(config) {
+    return resolveRule(COMMIT_PRESETS, config.commitPattern, config.customCommitPattern);
+}
+
+/**
+ * Start a validation result for a rule.
+ * Results are { valid, convention, pattern, error, problems, warnings } where
+ * error is set when the pattern itself is not a valid regular expression and
+ * every problem or warning is { rule, message, line }.
+ */
+function createResult(rule) {
+    return { valid: false, convention: rule.convention, pattern: rule.pattern, error: null, problems: [], warnings: [] };
+}
+
+/**
+ * Sort the problems of a result by the severity of their rule: warnings move
+ * to `warnings`, problems of rules turned off are dropped, and the result is
+ * valid when no error is left
+ */
+function applySeverities(result, options) {
+    const severity = problem => options.ruleSeverity[problem.rule] || 'error';
+    result.warnings = result.problems.filter(problem => severity(problem) === 'warning');
+    result.problems = result.problems.filter(problem => severity(problem) === 'error');
+    result.valid = result.problems.length === 0;
+    return result;
+}
+
+/**
+ * Compile a rule's pattern, recording an error on the result when it is invalid
+ */
+function compileRule(rule, result, kind) {
+    try {
+        return new RegExp(rule.pattern);
+    } catch {
+        result.error = `Invalid custom ${kind} pattern: ${rule.pattern}`;
+        return null;
+    }
+}
+
+/**
+ * Length in characters rather than UTF-16 code units, so emoji count once
+ */
+function textLength(text) {
+    return [...text].length;
+}
+
+/**
+ * Edit distance between two words, ignoring case; swapping two neighbouring letters counts once
+ */
+function editDistance(a, b) {
+    const x = a.toLowerCase();
+    const y = b.toLowerCase();
+    const rows = [...Array(x.length + 1)].map((row, i) => [...Array(y.length + 1)].map((cell, j) => (i === 0 ? j : j === 0 ? i : 0)));
+    for (let i = 1; i <= x.length; i++) {
+        for (let j = 1; j <= y.length; j++) {
+            const cost = x[i - 1] === y[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && x[i - 1] === y[j - 2] && x[i - 2] === y[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[x.length][y.length];
+}
+
+/**
+ * Message for a value missing from an allowlist. It names the nearest allowed
+ * value when that looks like what was meant (a typo, another case, a longer
+ * spelling), and lists the allowed values otherwise.
+ */
+function describeNotAllowed(label, value, allowed) {
+    const distance = candidate => editDistance(value, candidate);
+    const nearest = [...allowed].sort((a, b) => distance(a) - distance(b))[0];
+    const lower = value.toLowerCase();
+    const close = distance(nearest) <= Math.max(1, Math.floor(Math.max(value.length, nearest.length) / 3))
+        || (nearest.length >= 2 && (lower.startsWith(nearest.toLowerCase()) || nearest.toLowerCase().startsWith(lower)));
+    if (close) {
+        return `${label} "${value}" is not allowed; did you mean "${nearest}"?`;
+    }
+    const more = allowed.length > MAX_LISTED ? ` and ${allowed.length - MAX_LISTED} more` : '';
+    return `${label} "${value}" is not allowed (allowed: ${allowed.slice(0, MAX_LISTED).join(', ')}${more}).`;
+}
+
+/**
+ * Scopes a commit may use: allowedScopes and the scopes of scopeMap. Empty allows any.
+ */
+function getAllowedScopes(config) {
+    const options = { ...DEFAULT_CONFIG, ...config };
+    return [...new Set([...options.allowedScopes, ...Object.values(options.scopeMap)])];
+}
+
+/**
+ * Problems for the ticket keys in a text whose project is not in allowedProjectKeys
+ */
+function checkProjectKeys(text, line, options) {
+    const allowed = options.allowedProjectKeys;
+    if (allowed.length === 0) {
+        return [];
+    }
+    const projects = new Set(findTickets([text]).map(ticket => ticket.slice(0, ticket.lastIndexOf('-'))));
+    return [...projects].filter(project => !allowed.includes(project)).map(project => ({
+        rule: 'ticket-project',
+        message: describeNotAllowed('Ticket project', project, allowed),
+        line
+    }));
+}
+
+/**
+ * Problems for the type and scopes of a `type(scope): subject` header that are not allowed
+ */
+function checkHeaderParts(header, options) {
+    const match = HEADER_PARTS_PATTERN.exec(header.text);
+    if (!match) {
+        return [];
+    }
+    const problems = [];
+    const [, type, scopeText] = match;
+    if (options.allowedCommitTypes.length > 0 && !options.allowedCommitTypes.includes(type)) {
+        problems.push({
+            rule: 'commit-type',
+            message: describeNotAllowed('Commit type', type, options.allowedCommitTypes),
+            line: header.line
+        });
+    }
+    const scopes = getAllowedScopes(options);
+    if (scopeText !== undefined && scopes.length > 0) {
+        scopeText.split(',').map(scope => scope.trim()).filter(scope => scope && !scopes.includes(scope)).forEach(scope => {
+            problems.push({ rule: 'commit-scope', message: describeNotAllowed('Scope', scope, scopes), line: header.line });
+        });
+    }
+    return problems;
+}
+
+/**
+ * Scope of a file in scopeMap, CODEOWNERS-style: the last matching glob wins and
+ * a glob ending in "/" covers everything under that directory. Null when no glob matches.
+ */
+function getFileScope(filePath, scopeMap) {
+    const glob = Object.keys(scopeMap).filter(key => globToRegExp(key.endsWith('/') ? `${key}**` : key).test(filePath)).pop();
+    return glob === undefined ? null : scopeMap[glob];
+}
+
+/**
+ * Problems of a commit whose staged files do not fit the scope of its header:
+ * none of them is in the scope written, or they span several scopes while a
+ * single one is written. Only scopes of scopeMap are checked, and files no
+ * glob matches do not count as another scope.
+ */
+function checkScopeFiles(header, files, options) {
+    const match = HEADER_PARTS_PATTERN.exec(header.text);
+    const written = match && match[2] !== undefined ? match[2].split(',').map(scope => scope.trim()).filter(Boolean) : [];
+    const mapped = Object.values(options.scopeMap);
+    if (files.length === 0 || !written.some(scope => mapped.includes(scope))) {
+        return [];
+    }
+    const touched = [...new Set(files.map(file => getFileScope(file, options.scopeMap)).filter(Boolean))];
+    if (!written.some(scope => touched.includes(scope))) {
+        const elsewhere = touched.length > 0 ? `; they belong to ${touched.join(', ')}` : '';
+        return [{ rule: 'scope-files', message: `None of the staged files are in scope "${written.join(', ')}"${elsewhere}.`, line: header.line }];
+    }
+    if (written.length === 1 && touched.length > 1) {
+        return [{
+            rule: 'scope-files',
+            message: `The staged files span several scopes (${touched.join(', ')}), but the header only names "${written[0]}".`,
+            line: header.line
+        }];
+    }
+    return [];
+}
+
+/**
+ * Regular expression for a branch glob: `*` matches within a path segment,
+ * `**` across segments and `?` a single character
+ */
+function globToRegExp(glob) {
+    const source = glob.split(/(\*\*|\*|\?)/).map(part => {
+        if (part === '**') {
+            return '.*';
+        }
+        if (part === '*') {
+            return '[^/]*';
+        }
+        if (part === '?') {
+            return '[^/]';
+        }
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a branch name matches one of the globs
+ */
+function matchesBranchGlob(branchName, globs) {
+    return globs.some(glob => globToRegExp(glob).test(branchName));
+}
+
+/**
+ * Whether a branch is protected
+ */
+function isProtectedBranch(branchName, config) {
+    return matchesBranchGlob(branchName, { ...DEFAULT_CONFIG, ...config }.protectedBranches);
+}
+
+/**
+ * Why a direct commit or push to a branch is blocked, or null when it is allowed.
+ * `action` is 'commit' or 'push'.
+ */
+function checkProtectedBranch(branchName, action, config) {
+    const options = { ...DEFAULT_CONFIG, ...config };
+    const blocked = action === 'commit' ? options.blockCommitsToProtected : options.blockPushesToProtected;
+    if (!blocked || !isProtectedBranch(branchName, options)) {
+        return null;
+    }
+    return `Direct ${action === 'commit' ? 'commits' : 'pushes'} to the protected branch "${branchName}" are blocked. Use a feature branch and a pull request.`;
+}
+
+/**
+ * Pattern overriding the convention for a branch: { glob, pattern } of the
+ * first matching branchTypePatterns entry, or null
+ */
+function getBranchTypePattern(branchName, config) {
+    const patterns = config.branchTypePatterns || {};
+    const glob = Object.keys(patterns).find(key => globToRegExp(key).test(branchName));
+    return glob ? { glob, pattern: patterns[glob] } : null;
+}
+
+/**
+ * Validate branch name. Exempt and protected branches always pass; a
+ * branchTypePatterns entry matching the name replaces the convention.
+ * The result has `exempt` set when the name was not checked.
+ */
+function validateBranchName(branchName, config) {
+    const options = { ...DEFAULT_CONFIG, ...config };
+    const override = getBranchTypePattern(branchName, options);
+    const rule = override ? { ...getBranchRule(options), pattern: override.pattern } : getBranchRule(options);
+    const result = createResult(rule);
+    if (matchesBranchGlob(branchName, [...options.exemptBranches, ...options.protectedBranches])) {
+        result.valid = true;
+        result.exempt = true;
+        return result;
+    }
+    const regex = compileRule(rule, result, override ? `"${override.glob}" branch` : 'branch');
+    if (!regex) {
+        return result;
+    }
+    if (!regex.test(branchName)) {
+        result.problems.push(override ? {
+            rule: 'branch-type-pattern',
+            message: `Branch name "${branchName}" doesn't match the pattern for ${override.glob} branches.`,
+            line: 0
+        } : {
+            rule: 'branch-pattern',
+            message: `Branch name "${branchName}" doesn't follow the ${rule.convention} convention.`,
+            line: 0
+        });
+    }
+    result.problems.push(...checkProjectKeys(branchName, 0, options));
+    return applySeverities(result, options);
+}
+
+/**
+ * Why a commit is not checked, or null. `identities` has the author and
+ * committer as "Name <email>" when they are known. An invalid pattern is
+ * recorded on the result.
+ */
+function getIgnoreReason(header, options, identities, result) {
+    if (options.ignoreGitCommits && GIT_COMMIT_PATTERNS.some(regex => regex.test(header))) {
+        return 'written by git';
+    }
+    const compile = (pattern, kind) => {
+        try {
+            return new RegExp(pattern);
+        } catch {
+            result.error = result.error || `Invalid ignored ${kind} pattern: ${pattern}`;
+            return null;
+        }
+    };
+    const pattern = options.ignoredCommitPatterns.find(source => {
+        const regex = compile(source, 'commit');
+        return regex && regex.test(header);
+    });
+    if (pattern) {
+        return `matches the ignored pattern ${pattern}`;
+    }
+    const people = [identities.author, identities.committer].filter(Boolean);
+    const person = people.find(identity => options.ignoredAuthors.some(source => {
+        const regex = compile(source, 'author');
+        return regex && regex.test(identity);
+    }));
+    return person ? `by ${person}` : null;
+}
+
+/**
+ * Validate commit message: the convention applies to the header, the
+ * structure options to the header length, body lines and footers.
+ * Ignored commits pass with `ignored` set to the reason. `stagedFiles`, the
+ * paths the commit records, are checked against the header's scope when
+ * checkScopeFiles is on; leave them out where the files are unknown.
+ */
+function validateCommitMessage(message, config, identities = {}, stagedFiles) {
+    const options = { ...DEFAULT_CONFIG, ...config };
+    const rule = getCommitRule(options);
+    const result = createResult(rule);
+    const regex = compileRule(rule, result, 'commit');
+    if (!regex) {
+        return result;
+    }
+
+    const parsed = parseCommitMessage(message);
+    const { header, body, footers } = parsed;
+    const problems = result.problems;
+    result.parsed = parsed;
+
+    const ignored = header ? getIgnoreReason(header.text, options, identities, result) : null;
+    if (result.error) {
+        return result;
+    }
+    if (ignored) {
+        result.valid = true;
+        result.ignored = ignored;
+        return result;
+    }
+
+    if (!header) {
+        problems.push({ rule: 'header-empty', message: 'Commit message is empty.', line: 0 });
+        return applySeverities(result, options);
+    }
+
+    if (!regex.test(header.text)) {
+        problems.push({
+            rule: 'header-pattern',
+            message: `Commit message doesn't follow the ${rule.convention} convention.`,
+            line: header.line
+        });
+    }
+
+    const headerLength = textLength(header.text);
+    if (options.headerMaxLength > 0 && headerLength > options.headerMaxLength) {
+        problems.push({
+            rule: 'header-max-length',
+            message: `Header is ${headerLength} characters long (max ${options.headerMaxLength}).`,
+            line: header.line
+        });
+    }
+
+    problems.push(...checkHeaderParts(header, options), ...checkProjectKeys(header.text, header.line, options));
+    footers.forEach(footer => problems.push(...checkProjectKeys(footer.value, footer.line, options)));
+    if (options.checkScopeFiles && stagedFiles) {
+        problems.push(...checkScopeFiles(header, stagedFiles, options));
+    }
+
+    const firstAfterHeader = body.length > 0 ? body[0] : footers[0];
+    if (options.requireBlankLine && !parsed.blankLineAfterHeader && firstAfterHeader) {
+        problems.push({
+            rule: 'body-leading-blank',
+            message: 'Add a blank line between the header and the body.',
+            line: firstAfterHeader.line
+        });
+    }
+
+    if (options.bodyMaxLineLength > 0) {
+        body.forEach(line => {
+            const length = textLength(line.text);
+            if (length > options.bodyMaxLineLength) {
+                problems.push({
+                    rule: 'body-max-line-length',
+                    message: `Body line ${line.line + 1} is ${length} characters long (max ${options.bodyMaxLineLength}).`,
+                    line: line.line
+                });
+            }
+        });
+    }
+
+    if (options.allowedTrailers.length > 0) {
+        footers.forEach(footer => {
+            if (!options.allowedTrailers.includes(footer.token)) {
+                problems.push({
+                    rule: 'footer-trailer',
+                    message: `Trailer "${footer.token}" is not allowed (allowed: ${options.allowedTrailers.join(', ')}).`,
+                    line: footer.line
+                });
+            }
+        });
+    }
+
+    return applySeverities(result, options);
+}
+
+/**
+ * Get branch naming convention examples (empty for custom patterns)
+ */
+function getBranchExamples(config) {
+    return getBranchRule(config).examples;
+}
+
+/**
+ * Get commit message examples (empty for custom patterns)
+ */
+function getCommitExamples(config) {
+    return getCommitRule(config).examples;
+}
+
+module.exports = {
+    BRANCH_PRESETS,
+    COMMIT_PRESETS,
+    DEFAULT_CONFIG,
+    RULE_NAMES,
+    SEVERITIES,
+    getBranchRule,
+    getCommitRule,
+    getAllowedScopes,
+    getFileScope,
+    globToRegExp,
+    isProtectedBranch,
+    checkProtectedBranch,
+    validateBranchName,
+    validateCommitMessage,
+    getBranchExamples,
+    getCommitExamples
+};
@@ -0,0 +1,81 @@
+/**
+ * Scopes of a repository's packages, for the scopesFromPackages setting.
+ *
+ * Packages are the workspaces declared in package.json, pnpm-workspace.yaml or
+ * lerna.json; a repository declaring none has its directories under the usual
+ * package roots (packages/, apps/, ...) taken instead. Each becomes a scopeMap
+ * entry `"<directory>/**": "<directory name>"`, the scope the commit composer
+ * already suggests for files in it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./rules');
+const { PACKAGE_ROOTS } = require('./commit-builder');
+
+/**
+ * Read a JSON or YAML file, or undefined when it is missing or broken
+ */
+function readFile(filePath, parse) {
+    try {
+        return parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Workspace globs declared by npm/yarn, pnpm and lerna, e.g. ["packages/*"]
+ */
+function readWorkspaceGlobs(root) {
+    const pkg = readFile(path.join(root, 'package.json'), JSON.parse) || {};
+    // Loaded lazily like the repository config file, so npm-only setups never need it
+    const pnpm = readFile(path.join(root, 'pnpm-workspace.yaml'), text => require('yaml').parse(text)) || {};
+    const lerna = readFile(path.join(root, 'lerna.json'), JSON.parse) || {};
+    const npm = Array.isArray(pkg.workspaces) ? pkg.workspaces : (pkg.workspaces && pkg.workspaces.packages) || [];
+    return [...npm, ...(pnpm.packages || []), ...(lerna.packages || [])]
+        .filter(glob => typeof glob === 'string' && !glob.startsWith('!'));
+}
+
+/**
+ * Directories matching a workspace glob, relative to the root. Wildcard
+ * segments match one directory level; a trailing "**" is read as "*".
+ */
+function expandGlob(root, glob) {
+    let directories = [''];
+    for (const segment of glob.replace(/^\.\//, '').replace(/\/+$/, '').split('/')) {
+        directories = directories.flatMap(directory => {
+            if (!segment.includes('*')) {
+                return [path.posix.join(directory, segment)];
+            }
+            const regex = segment === '**' ? /^/ : globToRegExp(segment);
+            try {
+                return fs.readdirSync(path.join(root, directory), { withFileTypes: true })
+                    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules' && regex.test(entry.name))
+                    .map(entry => path.posix.join(directory, entry.name));
+            } catch {
+                return [];
+            }
+        });
+    }
+    return directories;
+}
+
+/**
+ * scopeMap entries for the packages of a repository, e.g. { "packages/auth/**": "auth" }
+ */
+function findPackageScopes(root) {
+    const declared = readWorkspaceGlobs(root);
+    const directories = declared.length > 0
+        ? declared.flatMap(glob => expandGlob(root, glob)).filter(directory => fs.existsSync(path.join(root, directory, 'package.json')))
+        : PACKAGE_ROOTS.flatMap(packageRoot => expandGlob(root, `${packageRoot}/*`));
+    const scopes = {};
+    directories.forEach(directory => {
+        scopes[`${directory}/**`] = path.posix.basename(directory).toLowerCase();
+    });
+    return scopes;
+}
+
+module.exports = {
+    findPackageScopes
+};
@@ -0,0 +1,365 @@
+/**
+ * Issue tracker lookups: whether a ticket key exists and is in an allowed
+ * status, and a ticket search for the wizards' pickers. JIRA, GitHub, GitLab
+ * and Linear are reached at a configurable base URL, so self-hosted instances
+ * (or a local mock server) work the same way.
+ *
+ * Tickets looked up are cached in a store with VS Code's Memento interface
+ * (`get(key, default)` / `update(key, value)`). When the tracker cannot be
+ * reached the last known answer is used, and a ticket never seen before is
+ * reported as unchecked rather than missing, so working offline never blocks
+ * a branch or a commit.
+ */
+
+const http = require('http');
+const https = require('https');
+const naming = require('./naming');
+
+// Environment variable holding the tracker token; the editor also keeps one in its secret storage
+const TOKEN_ENV = 'VALIDATE_BRANCH_TRACKER_TOKEN';
+
+// Store key of the ticket cache
+const CACHE_KEY = 'validateBranch.ticketCache';
+
+// How long a looked-up ticket is trusted before it is fetched again
+const CACHE_TTL = 10 * 60 * 1000;
+
+// Most tickets kept in the cache
+const MAX_CACHED = 500;
+
+// Longest wait for an answer before the tracker counts as unreachable
+const REQUEST_TIMEOUT = 5000;
+
+// Most tickets a search returns
+const SEARCH_LIMIT = 20;
+
+/**
+ * Failed tracker request; `offline` when the tracker could not be reached or
+ * is failing, as opposed to refusing the request
+ */
+class TrackerError extends Error {
+    constructor(message, offline = false) {
+        super(message);
+        this.name = 'TrackerError';
+        this.offline = offline;
+    }
+}
+
+/**
+ * Send a request and resolve { status, data } with the parsed JSON body (null when there is none)
+ */
+function requestJson(url, { method = 'GET', headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch {
+            reject(new TrackerError(`Invalid tracker URL: ${url}`));
+            return;
+        }
+        const payload = body === undefined ? undefined : JSON.stringify(body);
+        const client = target.protocol === 'http:' ? http : https;
+        const request = client.request(target, {
+            method,
+            timeout: REQUEST_TIMEOUT,
+            headers: {
+                Accept: 'application/json',
+                'User-Agent': 'validate-branch',
+                ...(payload === undefined ? {} : { 'Content-Type': 'application/json' }),
+                ...headers
+            }
+        }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                text += chunk;
+            });
+            response.on('end', () => {
+                let data = null;
+                try {
+                    data = text ? JSON.parse(text) : null;
+                } catch {
+                    // Error pages of proxies and gateways are not JSON
+                }
+                resolve({ status: response.statusCode, data });
+            });
+        });
+        request.on('timeout', () => request.destroy(new TrackerError(`no answer within ${REQUEST_TIMEOUT / 1000}s`, true)));
+        request.on('error', error => reject(error instanceof TrackerError ? error : new TrackerError(error.message, true)));
+        request.end(payload);
+    });
+}
+
+/**
+ * Body of a successful response; throws a TrackerError for the others
+ */
+function expectOk(response) {
+    if (response.status >= 200 && response.status < 300) {
+        return response.data;
+    }
+    if (response.status === 401 || response.status === 403) {
+        throw new TrackerError(`the tracker refused the request (HTTP ${response.status}); check the token`);
+    }
+    throw new TrackerError(`the tracker answered HTTP ${response.status}`, response.status === 429 || response.status >= 500);
+}
+
+/**
+ * Issue number of a key for trackers that number their issues, e.g. 42 for GH-42.
+ * Only called with keys of the provider's own prefix.
+ */
+function issueNumber(key) {
+    return key.slice(key.lastIndexOf('-') + 1);
+}
+
+/**
+ * Project setting a provider cannot work without
+ */
+function requireProject(api, example) {
+    if (!api.project) {
+        throw new TrackerError(`set ticketTrackerProject to the ${example} of the issues`);
+    }
+    return api.project;
+}
+
+// Linear issue fields read by the provider
+const LINEAR_FIELDS = 'identifier title url state { name }';
+
+/**
+ * Tracker providers. Each resolves tickets as { key, title, status, url }:
+ * fetchTicket(api, key) resolves null for unknown keys and searchTickets(api, query)
+ * resolves recently updated open tickets for an empty query. `api.call(path, options)`
+ * sends a request to the base URL with the token.
+ */
+const PROVIDERS = {
+    jira: {
+        name: 'JIRA',
+        defaultUrl: '',
+        // Cloud takes "email:api-token" as basic auth, Server and Data Center a personal access token
+        authorize: token => ({ Authorization: token.includes(':') ? `Basic ${Buffer.from(token).toString('base64')}` : `Bearer ${token}` }),
+        async fetchTicket(api, key) {
+            const response = await api.call(`/rest/api/2/issue/${encodeURIComponent(key)}?fields=summary,status`);
+            if (response.status === 404) {
+                return null;
+            }
+            const issue = expectOk(response);
+            return { key: issue.key, title: issue.fields.summary, status: issue.fields.status.name, url: `${api.base}/browse/${issue.key}` };
+        },
+        async searchTickets(api, query) {
+            const terms = api.project ? [`project = "${api.project}"`] : [];
+            terms.push(query ? `text ~ "${query.replace(/["\\]/g, ' ')}*"` : 'assignee = currentUser() AND statusCategory != Done');
+            const jql = `${terms.join(' AND ')} ORDER BY updated DESC`;
+            const data = expectOk(await api.call(`/rest/api/2/search?jql=${encodeURIComponent(jql)}&maxResults=${SEARCH_LIMIT}&fields=summary,status`));
+            return data.issues.map(issue => ({
+                key: issue.key, title: issue.fields.summary, status: issue.fields.status.name, url: `${api.base}/browse/${issue.key}`
+            }));
+        }
+    },
+    github: {
+        name: 'GitHub',
+        defaultUrl: 'https://api.github.com',
+        keyPrefix: 'GH',
+        authorize: token => ({ Authorization: `Bearer ${token}` }),
+        async fetchTicket(api, key) {
+            const response = await api.call(`/repos/${requireProject(api, 'owner/repo')}/issues/${issueNumber(key)}`);
+            if (response.status === 404) {
+                return null;
+            }
+            const issue = expectOk(response);
+            return { key, title: issue.title, status: issue.state, url: issue.html_url };
+        },
+        async searchTickets(api, query) {
+            const q = `repo:${requireProject(api, 'owner/repo')} is:issue ${query || 'is:open'}`;
+            const data = expectOk(await api.call(`/search/issues?q=${encodeURIComponent(q)}&sort=updated&per_page=${SEARCH_LIMIT}`));
+            return data.items.map(issue => ({ key: `${api.keyPrefix}-${issue.number}`, title: issue.title, status: issue.state, url: issue.html_url }));
+        }
+    },
+    gitlab: {
+        name: 'GitLab',
+        defaultUrl: 'https://gitlab.com',
+        keyPrefix: 'GL',
+        authorize: token => ({ 'PRIVATE-TOKEN': token }),
+        async fetchTicket(api, key) {
+            const project = encodeURIComponent(requireProject(api, 'group/project path'));
+            const response = await api.call(`/api/v4/projects/${project}/issues/${issueNumber(key)}`);
+            if (response.status === 404) {
+                return null;
+            }
+            const issue = expectOk(response);
+            return { key, title: issue.title, status: issue.state, url: issue.web_url };
+        },
+        async searchTickets(api, query) {
+            const project = encodeURIComponent(requireProject(api, 'group/project path'));
+            const filter = query ? `search=${encodeURIComponent(query)}` : 'state=opened';
+            const issues = expectOk(await api.call(`/api/v4/projects/${project}/issues?${filter}&order_by=updated_at&per_page=${SEARCH_LIMIT}`));
+            return issues.map(issue => ({ key: `${api.keyPrefix}-${issue.iid}`, title: issue.title, status: issue.state, url: issue.web_url }));
+        }
+    },
+    linear: {
+        name: 'Linear',
+        defaultUrl: 'https://api.linear.app',
+        // Personal API keys are sent as they are, OAuth tokens with their "Bearer " prefix
+        authorize: token => ({ Authorization: token }),
+        async fetchTicket(api, key) {
+            const response = await api.call('/graphql', {
+                method: 'POST',
+                body: { query: `query($id: String!) { issue(id: $id) { ${LINEAR_FIELDS} } }`, variables: { id: key } }
+            });
+            const data = expectOk(response);
+            const errors = data.errors || [];
+            if (errors.some(error => /not found/i.test(error.message))) {
+                return null;
+            }
+            if (errors.length > 0) {
+                throw new TrackerError(errors[0].message);
+            }
+            const issue = data.data.issue;
+            return { key: issue.identifier, title: issue.title, status: issue.state.name, url: issue.url };
+        },
+        async searchTickets(api, query) {
+            const graphql = query
+                ? `query($term: String!) { searchIssues(term: $term, first: ${SEARCH_LIMIT}) { nodes { ${LINEAR_FIELDS} } } }`
+                : `{ viewer { assignedIssues(first: ${SEARCH_LIMIT}, filter: { state: { type: { nin: ["completed", "canceled"] } } }) { nodes { ${LINEAR_FIELDS} } } } }`;
+            const data = expectOk(await api.call('/graphql', { method: 'POST', body: { query: graphql, variables: query ? { term: query } : {} } }));
+            if (data.errors && data.errors.length > 0) {
+                throw new TrackerError(data.errors[0].message);
+            }
+            const nodes = query ? data.data.searchIssues.nodes : data.data.viewer.assignedIssues.nodes;
+            return nodes.map(issue => ({ key: issue.identifier, title: issue.title, status: issue.state.name, url: issue.url }));
+        }
+    }
+};
+
+// Values of the ticketTracker setting
+const TRACKERS = ['none', ...Object.keys(PROVIDERS)];
+
+/**
+ * Store with the Memento interface keeping values in memory, for the hooks-free callers and tests
+ */
+function createMemoryStore() {
+    const values = new Map();
+    return {
+        get: (key, fallback) => (values.has(key) ? values.get(key) : fallback),
+        update: (key, value) => {
+            values.set(key, value);
+            return Promise.resolve();
+        }
+    };
+}
+
+/**
+ * Tracker for the ticketTracker settings, or null when none is configured.
+ * The token only goes with requests when `tokenTracker` ({ ticketTracker,
+ * ticketTrackerUrl } of the user's own settings) names the same tracker: the
+ * repository config file can name any host. Resolves checks as { key, state, valid, ticket, message, offline } where state
+ * is 'ok', 'missing', 'status' (not in allowedTicketStatuses) or 'unchecked'
+ * (the tracker could not answer); only 'missing' and 'status' are invalid.
+ */
+function createTracker(config, { token = '', tokenTracker = null, store = createMemoryStore(), now = Date.now } = {}) {
+    const provider = PROVIDERS[config.ticketTracker];
+    if (!provider) {
+        return null;
+    }
+    const baseUrl = settings => (settings.ticketTrackerUrl || provider.defaultUrl).replace(/\/+$/, '');
+    const base = baseUrl(config);
+    const trusted = Boolean(tokenTracker) && tokenTracker.ticketTracker === config.ticketTracker && baseUrl(tokenTracker) === base;
+    const headers = token && trusted ? provider.authorize(token) : {};
+    const api = {
+        base,
+        project: config.ticketTrackerProject,
+        keyPrefix: provider.keyPrefix,
+        call: (path, options = {}) => {
+            if (!base) {
+                return Promise.reject(new TrackerError(`set ticketTrackerUrl to the address of your ${provider.name} instance`));
+            }
+            return requestJson(`${base}${path}`, { ...options, headers }).then(response => {
+                if (token && !trusted && (response.status === 401 || response.status === 403)) {
+                    throw new TrackerError(`the token is only sent to the tracker of your user settings (ticketTracker, ticketTrackerUrl), not to ${base}`);
+                }
+                return response;
+            });
+        }
+    };
+
+    const cacheId = key => `${config.ticketTracker} ${base} ${key}`;
+    const readCache = key => store.get(CACHE_KEY, {})[cacheId(key)];
+    const writeCache = tickets => {
+        const entries = { ...store.get(CACHE_KEY, {}) };
+        tickets.forEach(([key, ticket]) => {
+            // Re-inserted so the oldest entries come first and are dropped first
+            delete entries[cacheId(key)];
+            entries[cacheId(key)] = { ticket, fetchedAt: now() };
+        });
+        const ids = Object.keys(entries);
+        ids.slice(0, Math.max(0, ids.length - MAX_CACHED)).forEach(id => delete entries[id]);
+        store.update(CACHE_KEY, entries);
+    };
+
+    // Ticket for a key (null when it does not exist) from the cache or the tracker
+    async function lookUp(key) {
+        // GitHub and GitLab issues are only numbered; APC-12 is not their issue #12
+        if (provider.keyPrefix && key.slice(0, key.lastIndexOf('-')) !== provider.keyPrefix) {
+            throw new TrackerError(`only ${provider.keyPrefix}-<number> keys name ${provider.name} issues`);
+        }
+        const cached = readCache(key);
+        if (cached && now() - cached.fetchedAt < CACHE_TTL) {
+            return { ticket: cached.ticket, offline: false };
+        }
+        try {
+            const ticket = await provider.fetchTicket(api, key);
+            writeCache([[key, ticket]]);
+            return { ticket, offline: false };
+        } catch (error) {
+            if (cached && error.offline) {
+                return { ticket: cached.ticket, offline: true };
+            }
+            throw error;
+        }
+    }
+
+    async function checkTicket(key) {
+        let found;
+        try {
+            found = await lookUp(key);
+        } catch (error) {
+            return { key, state: 'unchecked', valid: true, message: `Ticket ${key} could not be checked in ${provider.name}: ${error.message}` };
+        }
+        const { ticket, offline } = found;
+        const lastKnown = offline ? ` (last known answer; ${provider.name} could not be reached)` : '';
+        if (!ticket) {
+            return { key, state: 'missing', valid: false, offline, message: `Ticket ${key} does not exist in ${provider.name}${lastKnown}` };
+        }
+        const allowed = config.allowedTicketStatuses || [];
+        if (allowed.length > 0 && !allowed.some(status => status.toLowerCase() === ticket.status.toLowerCase())) {
+            return {
+                key, state: 'status', valid: false, ticket, offline,
+                message: `Ticket ${key} is "${ticket.status}"; allowed statuses: ${allowed.join(', ')}${lastKnown}`
+            };
+        }
+        return { key, state: 'ok', valid: true, ticket, offline, message: `${key}: ${ticket.title} (${ticket.status})` };
+    }
+
+    // Tickets matching typed text; a complete key is looked up directly. Resolves [] when the tracker fails.
+    async function searchTickets(query) {
+        const typed = query.trim();
+        if (typed && naming.extractTicket(typed.toUpperCase()) === typed.toUpperCase()) {
+            const found = await lookUp(typed.toUpperCase()).catch(() => null);
+            return found && found.ticket ? [found.ticket] : [];
+        }
+        try {
+            const tickets = await provider.searchTickets(api, typed);
+            writeCache(tickets.map(ticket => [ticket.key, ticket]));
+            return tickets;
+        } catch {
+            return [];
+        }
+    }
+
+    return { name: provider.name, checkTicket, searchTickets };
+}
+
+module.exports = {
+    TOKEN_ENV,
+    TRACKERS,
+    createMemoryStore,
+    createTracker
+};
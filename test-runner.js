@@ -6,20 +6,24 @@
  */
 
 const assert = require('assert');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
-// Import the patterns from our extension
-const BRANCH_PATTERNS = {
-    gitflow: /^(feature|bugfix|hotfix|release)\/[a-z0-9-]+$/,
-    conventional: /^(feat|fix|docs|style|refactor|test|chore)\/[a-z0-9-]+$/,
-    jira: /^(feature|bugfix|hotfix)\/[A-Z]+-\d+-.+$/,
-    simple: /^[a-z0-9-]+$/
-};
-
-const COMMIT_PATTERNS = {
-    conventional: /^(feat|fix|docs|style|refactor|perf|test|chore)(\(.+\))?: .{1,50}/,
-    angular: /^(build|ci|docs|feat|fix|perf|refactor|style|test)(\(.+\))?: .{1,50}/,
-    simple: /^.{10,72}$/
-};
+// Import the rules shared by the extension and the git hooks
+const rules = require('./lib/rules');
+const hookRunner = require('./lib/hook-runner');
+const configLoader = require('./lib/config');
+const { parseCommitMessage, parseRebaseTodo } = require('./lib/commit-message');
+const naming = require('./lib/naming');
+const builder = require('./lib/commit-builder');
+const gitHooks = require('./lib/git-hooks');
+const audit = require('./lib/audit');
+const cli = require('./lib/cli');
+const bypasses = require('./lib/bypass');
+const { buildHookScripts, readHookStamp, checkInstalledHooks } = require('./lib/hook-scripts');
+const { createTracker } = require('./lib/trackers');
 
 console.log('🧪 Running Validate Branch Extension Tests...\n');
 
@@ -38,10 +42,80 @@ function runTest(testName, testFunction) {
     }
 }
 
+function withConfig(overrides) {
+    return { ...rules.DEFAULT_CONFIG, ...overrides };
+}
+
+function withTempDir(files, testFunction) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vb-'));
+    try {
+        Object.keys(files).forEach(name => {
+            fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+            fs.writeFileSync(path.join(dir, name), files[name]);
+        });
+        testFunction(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
 // Test Branch Name Validation
 console.log('📋 Testing Branch Name Validation');
 console.log('================================');
 
+runTest('JIRA pattern - valid branch names', () => {
+    const validNames = [
+        'feature/PROJ-123-user-login',
+        'bugfix/PROJ-456-fix-crash',
+        'hotfix/ABC-789-security-fix',
+        'release/APC-9999-v2-release',
+        'chore/APC-1111-update-deps'
+    ];
+
+    validNames.forEach(name => {
+        assert.strictEqual(
+            rules.validateBranchName(name, withConfig()).valid,
+            true,
+            `Branch name "${name}" should be valid`
+        );
+    });
+});
+
+runTest('JIRA pattern - invalid branch names', () => {
+    const invalidNames = [
+        'my-feature',                   // no prefix
+        'feature/user-auth',            // no ticket
+        'feature/proj-123-user-auth',   // lowercase project key
+        'feature/PROJ-123-User-Auth',   // uppercase description
+        'feat/PROJ-123-user-auth',      // wrong prefix
+        'feature/PROJ-123-'             // empty description
+    ];
+
+    invalidNames.forEach(name => {
+        assert.strictEqual(
+            rules.validateBranchName(name, withConfig()).valid,
+            false,
+            `Branch name "${name}" should be invalid`
+        );
+    });
+});
+
+runTest('Custom pattern - used when set, JIRA fallback when empty', () => {
+    const custom = withConfig({ branchPattern: 'custom', customBranchPattern: '^(epic|story)/[a-z-]+$' });
+    assert.strictEqual(rules.validateBranchName('epic/big-thing', custom).valid, true);
+    assert.strictEqual(rules.validateBranchName('feature/APC-1-x', custom).valid, false);
+
+    const empty = withConfig({ branchPattern: 'custom', customBranchPattern: '' });
+    assert.strictEqual(rules.validateBranchName('feature/APC-1-x', empty).valid, true);
+    assert.strictEqual(rules.getBranchRule(empty).convention, 'jira');
+});
+
+runTest('Custom pattern - invalid regex is reported, not thrown', () => {
+    const result = rules.validateBranchName('anything', withConfig({ branchPattern: 'custom', customBranchPattern: '([' }));
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.error, 'Expected an error for an invalid regex');
+});
+
 runTest('Conventional pattern - valid branch names', () => {
     const validNames = [
         'feat/user-authentication',
@@ -50,12 +124,13 @@ runTest('Conventional pattern - valid branch names', () => {
         'style/button-colors',
         'refactor/api-cleanup',
         'test/user-validation',
-        'chore/dependency-update'
+        'chore/dependency-update',
+        'feat/feature--double-hyphen'
     ];
 
     validNames.forEach(name => {
         assert.strictEqual(
-            BRANCH_PATTERNS.conventional.test(name),
+            rules.validateBranchName(name, withConfig({ branchPattern: 'conventional' })).valid,
             true,
             `Branch name "${name}" should be valid`
         );
@@ -74,65 +149,168 @@ runTest('Conventional pattern - invalid branch names', () => {
 
     invalidNames.forEach(name => {
         assert.strictEqual(
-            BRANCH_PATTERNS.conventional.test(name),
+            rules.validateBranchName(name, withConfig({ branchPattern: 'conventional' })).valid,
             false,
             `Branch name "${name}" should be invalid`
         );
     });
 });
 
-runTest('GitFlow pattern - valid branch names', () => {
-    const validNames = [
-        'feature/user-authentication',
-        'bugfix/login-error',
-        'hotfix/security-patch',
-        'release/v1-2-0'
+runTest('GitFlow pattern - valid and invalid branch names', () => {
+    const config = withConfig({ branchPattern: 'gitflow' });
+    ['feature/user-authentication', 'bugfix/login-error', 'hotfix/security-patch', 'release/v1.2.0', 'release/2.0']
+        .forEach(name => assert.strictEqual(rules.validateBranchName(name, config).valid, true, `"${name}" should be valid`));
+    ['feat/user-auth', 'release/next', 'feature/User-Auth', 'develop']
+        .forEach(name => assert.strictEqual(rules.validateBranchName(name, config).valid, false, `"${name}" should be invalid`));
+});
+
+runTest('Trunk and simple patterns - branch names', () => {
+    const trunk = withConfig({ branchPattern: 'trunk' });
+    assert.strictEqual(rules.validateBranchName('jdoe/user-login', trunk).valid, true);
+    assert.strictEqual(rules.validateBranchName('user-login', trunk).valid, false);
+    assert.strictEqual(rules.validateBranchName('jdoe/team/user-login', trunk).valid, false);
+
+    const simple = withConfig({ branchPattern: 'simple' });
+    assert.strictEqual(rules.validateBranchName('fix-login-bug', simple).valid, true);
+    assert.strictEqual(rules.validateBranchName('ab', simple).valid, false);
+    assert.strictEqual(rules.validateBranchName('x'.repeat(51), simple).valid, false);
+});
+
+runTest('Branch globs - exempt, protected and per-type patterns', () => {
+    assert.ok(rules.globToRegExp('release/*').test('release/v1.2.0'));
+    assert.ok(!rules.globToRegExp('release/*').test('release/v1/hotfix'));
+    assert.ok(rules.globToRegExp('dependabot/**').test('dependabot/npm_and_yarn/lodash-4.17.21'));
+
+    const config = withConfig({
+        branchPattern: 'conventional',
+        exemptBranches: ['dependabot/**'],
+        protectedBranches: ['main', 'release/*'],
+        branchTypePatterns: { 'hotfix/*': '^hotfix/v[0-9]+\\.[0-9]+\\.[0-9]+$' }
+    });
+    ['main', 'release/next', 'dependabot/npm_and_yarn/lodash-4.17.21'].forEach(name => {
+        const result = rules.validateBranchName(name, config);
+        assert.ok(result.valid && result.exempt, `"${name}" should be exempt`);
+    });
+    assert.strictEqual(rules.validateBranchName('hotfix/v1.2.3', config).valid, true);
+    assert.strictEqual(rules.validateBranchName('hotfix/login-crash', config).problems[0].rule, 'branch-type-pattern');
+    assert.strictEqual(rules.validateBranchName('feat/login', config).exempt, undefined);
+
+    const broken = rules.validateBranchName('hotfix/x', withConfig({ branchTypePatterns: { 'hotfix/*': '[' } }));
+    assert.ok(broken.error.includes('"hotfix/*" branch'), broken.error);
+
+    assert.strictEqual(rules.checkProtectedBranch('main', 'commit', config), null);
+    const blocking = { ...config, blockCommitsToProtected: true };
+    assert.ok(rules.checkProtectedBranch('release/v2', 'commit', blocking).includes('release/v2'));
+    assert.strictEqual(rules.checkProtectedBranch('release/v2', 'push', blocking), null);
+    assert.strictEqual(rules.checkProtectedBranch('feat/login', 'commit', blocking), null);
+});
+
+// Test Branch Name Building
+console.log('\n🧭 Testing Branch Name Building');
+console.log('==============================');
+
+runTest('Slugify - lowercase, hyphens, no accents, length limit', () => {
+    assert.strictEqual(naming.slugify('User Authentication'), 'user-authentication');
+    assert.strictEqual(naming.slugify('  Crème brûlée: fix the Login!! '), 'creme-brulee-fix-the-login');
+    assert.strictEqual(naming.slugify('Release 1.2.0'), 'release-1.2.0');
+    assert.strictEqual(naming.slugify('Hello. World'), 'hello-world');
+    assert.strictEqual(naming.slugify('word '.repeat(20), 22), 'word-word-word-word');
+    assert.ok(naming.slugify('x'.repeat(80)).length <= naming.MAX_SLUG_LENGTH);
+});
+
+runTest('Ticket keys - extracted from branch names and subjects', () => {
+    assert.strictEqual(naming.extractTicket('feature/APC-2876-user-auth'), 'APC-2876');
+    assert.strictEqual(naming.extractTicket('main'), null);
+    assert.deepStrictEqual(
+        naming.findTickets(['feature/APC-1-login', '[APC-2] fix(ui): x', 'Merge APC-1 and OPS-7']),
+        ['APC-1', 'APC-2', 'OPS-7']
+    );
+});
+
+runTest('Every preset template builds a valid branch name', () => {
+    Object.keys(rules.BRANCH_PRESETS).forEach(preset => {
+        const config = withConfig({ branchPattern: preset });
+        const rule = rules.getBranchRule(config);
+        const name = naming.buildBranchName(rule.template, {
+            type: rule.types[0],
+            ticket: 'APC-2876',
+            user: 'jdoe',
+            slug: naming.slugify('User Authentication')
+        });
+        assert.strictEqual(rules.validateBranchName(name, config).valid, true, `${preset} built "${name}"`);
+    });
+    assert.strictEqual(rules.getBranchRule(withConfig({ branchPattern: 'custom', customBranchPattern: '^x$' })).template, null);
+});
+
+runTest('Branch rename - parts recovered from an invalid name', () => {
+    const jira = rules.BRANCH_PRESETS.jira.types;
+    const conventional = rules.BRANCH_PRESETS.conventional.types;
+    assert.deepStrictEqual(naming.inferBranchParts('Feat/apc-12_Login-Page', jira), { ticket: 'APC-12', type: 'feature', slug: 'login-page' });
+    assert.deepStrictEqual(naming.inferBranchParts('bugfix-Button Styling', conventional), { type: 'fix', slug: 'button-styling' });
+    assert.deepStrictEqual(naming.inferBranchParts('fix-2-buttons', conventional), { type: 'fix', slug: '2-buttons' });
+    assert.deepStrictEqual(naming.inferBranchParts('jdoe/feature/APC-7-thing', []), { ticket: 'APC-7', user: 'jdoe', slug: 'feature-thing' });
+    assert.deepStrictEqual(naming.inferBranchParts('Hello', jira), { slug: 'hello' });
+
+    const config = withConfig({ branchPattern: 'jira' });
+    const parts = naming.inferBranchParts('Feat/apc-12_Login-Page', jira);
+    assert.strictEqual(rules.validateBranchName(naming.buildBranchName(rules.getBranchRule(config).template, parts), config).valid, true);
+});
+
+// Test Commit Message Validation
+console.log('\n📝 Testing Commit Message Validation');
+console.log('====================================');
+
+runTest('JIRA pattern - valid commit messages', () => {
+    const validMessages = [
+        '[APC-2356] feat(auth): Add Login Functionality',
+        '[APC-1234] fix(ui): Resolve button alignment issue',
+        '[APC-5678] docs(readme): Update installation guide',
+        '[APC-9999] refactor(api-v2): Simplify user service'
     ];
 
-    validNames.forEach(name => {
+    validMessages.forEach(message => {
         assert.strictEqual(
-            BRANCH_PATTERNS.gitflow.test(name),
+            rules.validateCommitMessage(message, withConfig()).valid,
             true,
-            `Branch name "${name}" should be valid`
+            `Commit message "${message}" should be valid`
         );
     });
 });
 
-runTest('JIRA pattern - valid branch names', () => {
-    const validNames = [
-        'feature/PROJ-123-user-login',
-        'bugfix/PROJ-456-fix-crash',
-        'hotfix/ABC-789-security-fix'
+runTest('JIRA pattern - invalid commit messages', () => {
+    const invalidMessages = [
+        'added new feature',                    // no ticket or type
+        'feat(auth): add login',                // no ticket
+        '[APC-1] feat: add login',              // no scope
+        '[APC-1] feature(auth): add login',     // wrong type
+        '[apc-1] feat(auth): add login',        // lowercase project key
+        '[APC-1] feat(auth):add login',         // no space after colon
+        `[APC-1] feat(auth): ${'x'.repeat(81)}` // description too long
     ];
 
-    validNames.forEach(name => {
+    invalidMessages.forEach(message => {
         assert.strictEqual(
-            BRANCH_PATTERNS.jira.test(name),
-            true,
-            `Branch name "${name}" should be valid`
+            rules.validateCommitMessage(message, withConfig()).valid,
+            false,
+            `Commit message "${message}" should be invalid`
         );
     });
 });
 
-// Test Commit Message Validation
-console.log('\n📝 Testing Commit Message Validation');
-console.log('====================================');
-
 runTest('Conventional pattern - valid commit messages', () => {
     const validMessages = [
         'feat: add user authentication',
         'fix: resolve login button issue',
         'docs: update README with setup instructions',
-        'style: improve button styling',
         'refactor(auth): simplify login logic',
-        'perf: optimize database queries',
-        'test: add user validation tests',
-        'chore: update dependencies'
+        'fix(ui/components): resolve issue',
+        'feat(api)!: drop v1 endpoints',
+        'perf: optimize database queries'
     ];
 
     validMessages.forEach(message => {
         assert.strictEqual(
-            COMMIT_PATTERNS.conventional.test(message),
+            rules.validateCommitMessage(message, withConfig({ commitPattern: 'conventional' })).valid,
             true,
             `Commit message "${message}" should be valid`
         );
@@ -144,77 +322,1114 @@ runTest('Conventional pattern - invalid commit messages', () => {
         'added new feature',           // no type
         'feat added feature',          // missing colon
         'feature: add user auth',      // wrong type
-        'feat:add feature',           // no space after colon
-        'feat: ',                     // too short description
-        'FEAT: add feature'           // uppercase type
+        'feat:add feature',            // no space after colon
+        'feat: ',                      // empty description
+        'FEAT: add feature',           // uppercase type
+        'feat(): empty scope',         // empty scope
+        `feat: ${'x'.repeat(100)}`     // header too long
     ];
 
     invalidMessages.forEach(message => {
         assert.strictEqual(
-            COMMIT_PATTERNS.conventional.test(message),
+            rules.validateCommitMessage(message, withConfig({ commitPattern: 'conventional' })).valid,
             false,
             `Commit message "${message}" should be invalid`
         );
     });
 });
 
-runTest('Angular pattern - valid commit messages', () => {
-    const validMessages = [
-        'feat(auth): add user login functionality',
-        'fix(ui): resolve button alignment issue',
-        'docs: update contributing guidelines',
-        'test(auth): add login unit tests',
-        'build: update webpack configuration',
-        'ci: add GitHub Actions workflow'
-    ];
+runTest('Ignored commits - git messages, custom patterns and bot authors', () => {
+    const config = withConfig({ commitPattern: 'conventional' });
+    [
+        "Merge branch 'feat/login' into main",
+        "Merge remote-tracking branch 'origin/main'",
+        'Merge pull request #12 from acme/feat/login',
+        'Revert "feat: add login"',
+        'fixup! feat: add login',
+        'squash! feat: add login'
+    ].forEach(message => {
+        const result = rules.validateCommitMessage(message, config);
+        assert.ok(result.valid && result.ignored, `"${message}" should be ignored`);
+    });
+    assert.strictEqual(rules.validateCommitMessage('Merge stuff', config).valid, false);
+    assert.strictEqual(rules.validateCommitMessage('fixup! feat: add login', { ...config, ignoreGitCommits: false }).valid, false);
 
-    validMessages.forEach(message => {
-        assert.strictEqual(
-            COMMIT_PATTERNS.angular.test(message),
-            true,
-            `Commit message "${message}" should be valid`
-        );
+    const custom = { ...config, ignoredCommitPatterns: ['^Release v'], ignoredAuthors: ['\\[bot\\]'] };
+    assert.ok(rules.validateCommitMessage('Release v1.2.0', custom).ignored);
+    const bot = { author: 'dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>' };
+    assert.ok(rules.validateCommitMessage('Bump lodash', custom, bot).ignored.includes('dependabot[bot]'));
+    assert.strictEqual(rules.validateCommitMessage('Bump lodash', custom, { author: 'Ada <ada@example.com>' }).valid, false);
+    assert.ok(rules.validateCommitMessage('Bump lodash', { ...config, ignoredCommitPatterns: ['('] }).error.includes('ignored commit pattern'));
+});
+
+runTest('Rule severity - warnings pass, off drops the rule', () => {
+    const config = withConfig({
+        commitPattern: 'conventional',
+        headerMaxLength: 20,
+        ruleSeverity: { 'header-max-length': 'warning', 'body-leading-blank': 'off' }
+    });
+    const result = rules.validateCommitMessage('feat: add the user login form\nwith a body', config);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.problems, []);
+    assert.deepStrictEqual(result.warnings.map(warning => warning.rule), ['header-max-length']);
+    assert.strictEqual(rules.validateCommitMessage('added login', config).valid, false);
+
+    const branch = rules.validateBranchName('my-feature', withConfig({ ruleSeverity: { 'branch-pattern': 'warning' } }));
+    assert.ok(branch.valid && branch.warnings[0].rule === 'branch-pattern');
+
+    withTempDir({ '.validatebranchrc.json': '{ "ruleSeverity": { "header-pattern": "warn" } }' }, dir => {
+        const loaded = configLoader.loadConfig(dir);
+        assert.deepStrictEqual(loaded.config.ruleSeverity, {});
+        assert.ok(loaded.warnings[0].includes('ruleSeverity'), loaded.warnings[0]);
     });
 });
 
-// Test Edge Cases
-console.log('\n🔍 Testing Edge Cases');
+runTest('Allowlists - project keys, types and scopes name the nearest allowed value', () => {
+    const config = withConfig({
+        allowedProjectKeys: ['APC', 'OPS'],
+        allowedCommitTypes: ['feat', 'fix', 'docs'],
+        allowedScopes: ['auth', 'ui'],
+        scopeMap: { 'docs/**': 'docs' }
+    });
+    const messages = message => rules.validateCommitMessage(message, config).problems.map(problem => problem.message);
+    assert.deepStrictEqual(messages('[APC-1] feat(docs): Add setup guide'), []);
+    assert.deepStrictEqual(messages('[APX-1] fix(autth): Fix login'), [
+        'Scope "autth" is not allowed; did you mean "auth"?',
+        'Ticket project "APX" is not allowed; did you mean "APC"?'
+    ]);
+    assert.deepStrictEqual(messages('[OPS-2] feta(UI): Add x'), [
+        'Commit message doesn\'t follow the jira convention.',
+        'Commit type "feta" is not allowed; did you mean "feat"?',
+        'Scope "UI" is not allowed; did you mean "ui"?'
+    ]);
+    assert.deepStrictEqual(messages('[APC-3] chore(billing): Bump deps\n\nRefs: ZZZ-4'), [
+        'Commit type "chore" is not allowed (allowed: feat, fix, docs).',
+        'Scope "billing" is not allowed (allowed: auth, ui, docs).',
+        'Ticket project "ZZZ" is not allowed (allowed: APC, OPS).'
+    ]);
+    assert.deepStrictEqual(rules.validateBranchName('feature/APX-12-login', config).problems.map(problem => problem.rule), ['ticket-project']);
+    assert.strictEqual(rules.validateBranchName('feature/OPS-12-login', config).valid, true);
+    assert.strictEqual(rules.validateCommitMessage('[APC-1] feat(billing): Add x', withConfig({ ruleSeverity: { 'commit-scope': 'off' } })).valid, true);
+
+    withTempDir({}, dir => {
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(config) };
+        const output = [];
+        assert.strictEqual(hookRunner.run(['branch', 'feature/APX-12-login'], env, line => output.push(line), dir), 1);
+        assert.ok(output.includes('❌ Ticket project "APX" is not allowed; did you mean "APC"?'), output.join('\n'));
+    });
+});
+
+runTest('Allowlists - scopes inferred from workspace packages', () => {
+    withTempDir({
+        'package.json': JSON.stringify({ name: 'mono', workspaces: ['packages/*', 'tools/cli'], validateBranch: { scopesFromPackages: true } }),
+        'packages/auth/package.json': '{}',
+        'packages/web-ui/package.json': '{}',
+        'packages/notes/README.md': '',
+        'tools/cli/package.json': '{}'
+    }, dir => {
+        const { config } = configLoader.loadConfig(dir, withConfig({ scopeMap: { 'packages/web-ui/**': 'ui' } }));
+        assert.deepStrictEqual(config.scopeMap, { 'packages/auth/**': 'auth', 'packages/web-ui/**': 'ui', 'tools/cli/**': 'cli' });
+        assert.deepStrictEqual(rules.getAllowedScopes(config), ['auth', 'ui', 'cli']);
+        assert.strictEqual(rules.validateCommitMessage('[APC-1] feat(cli): Add flag', config).valid, true);
+    });
+    withTempDir({ 'apps/admin/index.js': '', 'libs/shared/index.js': '', 'pnpm-workspace.yaml': 'packages: []\n' }, dir => {
+        const { config } = configLoader.loadConfig(dir, withConfig({ scopesFromPackages: true }));
+        assert.deepStrictEqual(config.scopeMap, { 'apps/admin/**': 'admin', 'libs/shared/**': 'shared' });
+    });
+});
+
+runTest('Angular pattern - valid and invalid commit messages', () => {
+    const config = withConfig({ commitPattern: 'angular' });
+    ['feat(auth): add user login functionality', 'docs: update contributing guidelines', 'ci: add GitHub Actions workflow']
+        .forEach(message => assert.strictEqual(rules.validateCommitMessage(message, config).valid, true, `"${message}" should be valid`));
+    ['chore: update deps', 'feat(auth): Add login', 'fix: resolve issue.']
+        .forEach(message => assert.strictEqual(rules.validateCommitMessage(message, config).valid, false, `"${message}" should be invalid`));
+});
+
+runTest('Gitmoji and simple patterns - commit messages', () => {
+    const gitmoji = withConfig({ commitPattern: 'gitmoji' });
+    [':sparkles: Add login', '🐛 Fix crash on startup', ':recycle: (api) Simplify user service']
+        .forEach(message => assert.strictEqual(rules.validateCommitMessage(message, gitmoji).valid, true, `"${message}" should be valid`));
+    ['Add login', 'sparkles: Add login', ':sparkles:Add login']
+        .forEach(message => assert.strictEqual(rules.validateCommitMessage(message, gitmoji).valid, false, `"${message}" should be invalid`));
+
+    const simple = withConfig({ commitPattern: 'simple' });
+    assert.strictEqual(rules.validateCommitMessage('Add user authentication', simple).valid, true);
+    assert.strictEqual(rules.validateCommitMessage('Fix it', simple).valid, false);
+    assert.strictEqual(rules.validateCommitMessage('x'.repeat(73), simple).valid, false);
+});
+
+runTest('Every preset accepts its own examples', () => {
+    Object.keys(rules.BRANCH_PRESETS).forEach(preset => {
+        const config = withConfig({ branchPattern: preset });
+        rules.getBranchExamples(config).forEach(example => {
+            assert.strictEqual(rules.validateBranchName(example, config).valid, true, `${preset} example "${example}" should be valid`);
+        });
+    });
+    Object.keys(rules.COMMIT_PRESETS).forEach(preset => {
+        const config = withConfig({ commitPattern: preset });
+        rules.getCommitExamples(config).forEach(example => {
+            assert.strictEqual(rules.validateCommitMessage(example, config).valid, true, `${preset} example "${example}" should be valid`);
+        });
+    });
+});
+
+// Test Multi-line Commit Messages
+console.log('\n📄 Testing Multi-line Commit Messages');
+console.log('====================================');
+
+runTest('Parser - strips comments and the scissors section like git', () => {
+    const raw = [
+        '[APC-1] feat(auth): Add login',
+        '',
+        '# Please enter the commit message for your changes.',
+        'Adds the login form.',
+        '',
+        '',
+        'Refs: APC-2',
+        '# ------------------------ >8 ------------------------',
+        'diff --git a/file b/file',
+        ''
+    ].join('\n');
+    const parsed = parseCommitMessage(raw);
+    assert.strictEqual(parsed.header.text, '[APC-1] feat(auth): Add login');
+    assert.deepStrictEqual(parsed.body.map(line => line.text), ['Adds the login form.']);
+    assert.deepStrictEqual(parsed.footers.map(footer => footer.token), ['Refs']);
+    assert.strictEqual(parsed.footers[0].line, 6);
+    assert.strictEqual(parsed.message, '[APC-1] feat(auth): Add login\n\nAdds the login form.\n\nRefs: APC-2');
+});
+
+runTest('Parser - footers need a trailer-only final paragraph', () => {
+    const withFooters = parseCommitMessage('feat: x\n\nBody text.\n\nBREAKING CHANGE: drops v1\n  and v2\nFixes #12');
+    assert.deepStrictEqual(withFooters.footers.map(footer => footer.token), ['BREAKING CHANGE', 'Fixes']);
+    assert.strictEqual(withFooters.footers[0].value, 'drops v1\nand v2');
+
+    const noFooters = parseCommitMessage('feat: x\n\nNote: this is prose\nthat continues here.');
+    assert.deepStrictEqual(noFooters.footers, []);
+    assert.strictEqual(noFooters.body.length, 2);
+});
+
+runTest('Parser - reword lines of a rebase todo list', () => {
+    const todo = 'pick 1a2b3c4 feat: kept\nreword 5d6e7f8 added login  \nr 9a8b7c6d # Merge branch \'x\'\n# reword 1111111 commented out\n';
+    assert.deepStrictEqual(parseRebaseTodo(todo), [
+        { sha: '5d6e7f8', subject: 'added login', line: 1, column: 15 },
+        { sha: '9a8b7c6d', subject: 'Merge branch \'x\'', line: 2, column: 13 }
+    ]);
+    assert.strictEqual(todo.split('\n')[1].slice(15), 'added login  ');
+});
+
+runTest('Multi-line - body and trailers no longer break the header check', () => {
+    const message = '[APC-1] feat(auth): Add login\n\nLonger explanation of the change.\n\nRefs: APC-2\nBREAKING CHANGE: new login API\n';
+    const result = rules.validateCommitMessage(message, withConfig());
+    assert.deepStrictEqual(result.problems, []);
+    assert.strictEqual(result.valid, true);
+});
+
+runTest('Multi-line - each part has its own rule', () => {
+    const problemRules = (message, overrides) => rules.validateCommitMessage(message, withConfig(overrides)).problems.map(problem => problem.rule);
+
+    assert.deepStrictEqual(problemRules('[APC-1] feat(auth): Add login\nNo blank line'), ['body-leading-blank']);
+    assert.deepStrictEqual(problemRules('[APC-1] feat(auth): Add login\nNo blank line', { requireBlankLine: false }), []);
+    assert.deepStrictEqual(problemRules(`[APC-1] feat(auth): Add login\n\n${'x'.repeat(101)}`), ['body-max-line-length']);
+    assert.deepStrictEqual(problemRules('[APC-1] feat(auth): Add login', { headerMaxLength: 20 }), ['header-max-length']);
+    assert.deepStrictEqual(problemRules('[APC-1] feat(auth): Add login\n\nRefs: APC-2\nSigned-off-by: A <a@b.c>', { allowedTrailers: ['Refs'] }), ['footer-trailer']);
+    assert.deepStrictEqual(problemRules('# only a comment\n'), ['header-empty']);
+    assert.deepStrictEqual(problemRules('bad header\n\nbody'), ['header-pattern']);
+});
+
+runTest('Multi-line - problem lines point into the raw message', () => {
+    const result = rules.validateCommitMessage(`# comment\n[APC-1] feat(auth): Add login\n\n${'x'.repeat(120)}`, withConfig());
+    assert.strictEqual(result.problems[0].line, 3);
+});
+
+// Test Commit Message Building
+console.log('\n🧱 Testing Commit Message Building');
+console.log('==================================');
+
+runTest('Commit header - scope and breaking marker render only when set', () => {
+    const template = '{type}{scope}{breaking}: {subject}';
+    assert.strictEqual(builder.buildCommitHeader(template, { type: 'feat', subject: 'add login' }), 'feat: add login');
+    assert.strictEqual(builder.buildCommitHeader(template, { type: 'feat', scope: 'auth', breaking: true, subject: 'add login' }), 'feat(auth)!: add login');
+});
+
+runTest('Commit body - wraps prose and joins parts with blank lines', () => {
+    assert.strictEqual(builder.wrapText('one two three four', 9), 'one two\nthree\nfour');
+    assert.strictEqual(builder.wrapText('first\nsecond', 72), 'first\nsecond');
+    assert.strictEqual(
+        builder.buildCommitMessage('feat: x', 'Body', [{ token: 'BREAKING CHANGE', value: 'gone' }, { token: 'Refs', value: 'APC-1' }]),
+        'feat: x\n\nBody\n\nBREAKING CHANGE: gone\nRefs: APC-1'
+    );
+    assert.strictEqual(builder.buildCommitMessage('feat: x', '', []), 'feat: x');
+});
+
+runTest('Scope suggestions - staged paths first, then history', () => {
+    assert.strictEqual(builder.scopeForPath('packages/api/src/index.js'), 'api');
+    assert.strictEqual(builder.scopeForPath('src/auth/login.js'), 'auth');
+    assert.strictEqual(builder.scopeForPath('README.md'), 'README');
+    assert.deepStrictEqual(
+        builder.suggestScopes(['src/ui/a.js', 'src/auth/b.js', 'src/auth/c.js', ''], ['[APC-1] fix(db): x', 'feat(ui)!: y', 'chore: z']),
+        ['auth', 'ui', 'db']
+    );
+});
+
+runTest('Every commit preset template builds a valid header', () => {
+    Object.keys(rules.COMMIT_PRESETS).forEach(preset => {
+        const config = withConfig({ commitPattern: preset });
+        const rule = rules.getCommitRule(config);
+        const header = builder.buildCommitHeader(rule.template, {
+            type: rule.types[0],
+            scope: rule.scope === 'none' ? '' : 'auth',
+            ticket: 'APC-2876',
+            subject: 'add user authentication'
+        });
+        assert.strictEqual(rules.validateCommitMessage(header, config).valid, true, `${preset} built "${header}"`);
+    });
+});
+
+runTest('Ticket prefill - header prefix for the JIRA preset', () => {
+    const config = withConfig();
+    const template = '\n# Please enter the commit message\n# On branch feature/APC-12-login\n';
+    assert.strictEqual(builder.prefillTicket(template, 'APC-12', config), `[APC-12] ${template}`);
+    assert.strictEqual(builder.prefillTicket('feat(auth): Add login\n', 'APC-12', config), '[APC-12] feat(auth): Add login\n');
+    assert.strictEqual(builder.prefillTicket('[APC-12] feat(auth): Add login\n', 'APC-12', config), '[APC-12] feat(auth): Add login\n');
+    assert.strictEqual(builder.prefillTicket('feat(auth): Add login\n', null, config), 'feat(auth): Add login\n');
+});
+
+runTest('Ticket prefill - Refs footer for presets without a ticket', () => {
+    const config = withConfig({ commitPattern: 'conventional' });
+    assert.strictEqual(builder.prefillTicket('feat: add login\n# comment\n', 'APC-12', config), 'feat: add login\n\nRefs: APC-12\n# comment\n');
+    assert.strictEqual(builder.prefillTicket('feat: add login\n\nSigned-off-by: A <a@b.c>\n', 'APC-12', config),
+        'feat: add login\n\nSigned-off-by: A <a@b.c>\nRefs: APC-12\n');
+    assert.strictEqual(builder.prefillTicket('\n# comment\n', 'APC-12', config), '\n\nRefs: APC-12\n\n# comment\n');
+    assert.strictEqual(builder.prefillTicket('', 'APC-12', config), '\n\nRefs: APC-12');
+    assert.strictEqual(builder.prefillTicket('feat: add login', 'APC-12', withConfig({ commitPattern: 'conventional', allowedTrailers: ['Closes'] })), 'feat: add login');
+});
+
+runTest('Commit fix - type, scope and ticket corrected', () => {
+    const jira = withConfig({ commitPattern: 'jira' });
+    assert.strictEqual(builder.suggestCommitFix('Feat(Auth): Add login', jira, { ticket: 'APC-12' }), '[APC-12] feat(auth): Add login');
+    assert.strictEqual(builder.suggestCommitFix('feature: Add login', jira, { ticket: 'APC-12', scopes: ['auth'] }), '[APC-12] feat(auth): Add login');
+    assert.strictEqual(builder.suggestCommitFix('[apc-3] FIX(UI): Align', jira), '[APC-3] fix(ui): Align');
+    assert.strictEqual(builder.suggestCommitFix('added login', jira, { ticket: 'APC-12' }), '[APC-12] added login');
+
+    const conventional = withConfig({ commitPattern: 'conventional' });
+    assert.strictEqual(builder.suggestCommitFix('Bugfix(Parser)!: handle empty input', conventional), 'fix(parser)!: handle empty input');
+    assert.strictEqual(builder.suggestCommitFix('Feat: Add login.', withConfig({ commitPattern: 'angular' })), 'feat: add login');
+});
+
+runTest('Commit fix - long header shortened, body structure repaired', () => {
+    const config = withConfig({ commitPattern: 'conventional', headerMaxLength: 40, bodyMaxLineLength: 20 });
+    const fixed = builder.suggestCommitFix('feat: add a login form with remember me and SSO\nThe body is long enough to wrap\n\nRefs: APC-1', config);
+    assert.strictEqual(fixed, 'feat: add a login form with remember me\n\nThe body is long\nenough to wrap\n\nRefs: APC-1');
+    assert.strictEqual(rules.validateCommitMessage(fixed, config).valid, true);
+    assert.strictEqual(builder.suggestCommitFix('feat: ok', config, { ticket: 'APC-1' }), 'feat: ok\n\nRefs: APC-1');
+});
+
+// Test Hook Runner
+console.log('\n🪝 Testing Hook Runner');
 console.log('=====================');
 
-runTest('Branch names with numbers and hyphens', () => {
-    const pattern = BRANCH_PATTERNS.conventional;
-    const testCases = [
-        { name: 'feat/feature-123', expected: true },
-        { name: 'fix/bug-fix-2024', expected: true },
-        { name: 'docs/api-v2-documentation', expected: true },
-        { name: 'feat/feature--double-hyphen', expected: true },
-    ];
+runTest('Hook runner - branch check matches the extension', () => {
+    withTempDir({}, dir => {
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(withConfig()) };
+        const output = [];
+        assert.strictEqual(hookRunner.run(['branch', 'feature/APC-1-login'], env, line => output.push(line), dir), 0);
+        assert.strictEqual(hookRunner.run(['branch', 'my-feature'], env, line => output.push(line), dir), 1);
+        assert.ok(output.some(line => line.includes('feature/APC-2876-user-auth')), 'Expected examples in hook output');
+    });
+});
 
-    testCases.forEach(testCase => {
-        assert.strictEqual(
-            pattern.test(testCase.name),
-            testCase.expected,
-            `Branch name "${testCase.name}" should ${testCase.expected ? 'be valid' : 'be invalid'}`
-        );
+runTest('Hook runner - error output uses the preset examples', () => {
+    withTempDir({}, dir => {
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(withConfig({ branchPattern: 'gitflow' })) };
+        const output = [];
+        assert.strictEqual(hookRunner.run(['branch', 'my-feature'], env, line => output.push(line), dir), 1);
+        assert.ok(output.some(line => line.includes('gitflow convention')), 'Expected the preset name');
+        assert.ok(output.some(line => line.includes('release/v1.2.0')), 'Expected gitflow examples');
     });
 });
 
-runTest('Commit messages with scopes', () => {
-    const pattern = COMMIT_PATTERNS.conventional;
-    const testCases = [
-        { message: 'feat(auth): add login', expected: true },
-        { message: 'fix(ui/components): resolve issue', expected: true },
-        { message: 'docs(api-v2): update endpoints', expected: true },
-        { message: 'feat(): empty scope', expected: false }, // Empty scope should be invalid
-        { message: 'feat: no scope', expected: true },
-    ];
+runTest('Hook runner - commit message file with trailing newline', () => {
+    withTempDir({}, dir => {
+        const file = path.join(dir, 'COMMIT_EDITMSG');
+        const log = () => {};
+        fs.writeFileSync(file, '[APC-1] feat(auth): Add login\n');
+        assert.strictEqual(hookRunner.run(['commit', file], {}, log, dir), 0);
+        fs.writeFileSync(file, 'added login\n');
+        assert.strictEqual(hookRunner.run(['commit', file], {}, log, dir), 1);
+    });
+});
 
-    testCases.forEach(testCase => {
-        assert.strictEqual(
-            pattern.test(testCase.message),
-            testCase.expected,
-            `Commit message "${testCase.message}" should ${testCase.expected ? 'be valid' : 'be invalid'}`
-        );
+runTest('Hook runner - custom pattern with shell metacharacters', () => {
+    withTempDir({}, dir => {
+        const config = withConfig({ commitPattern: 'custom', customCommitPattern: "^(FEAT|FIX): [^'`$]+$" });
+        const file = path.join(dir, 'COMMIT_EDITMSG');
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(config) };
+        fs.writeFileSync(file, 'FEAT: add login\n');
+        assert.strictEqual(hookRunner.run(['commit', file], env, () => {}, dir), 0);
+        fs.writeFileSync(file, 'FEAT: add `login`\n');
+        assert.strictEqual(hookRunner.run(['commit', file], env, () => {}, dir), 1);
+    });
+});
+
+runTest('Hook runner - commit message file as git writes it', () => {
+    withTempDir({}, dir => {
+        const file = path.join(dir, 'COMMIT_EDITMSG');
+        const output = [];
+        fs.writeFileSync(file, [
+            '[APC-1] feat(auth): Add login',
+            '',
+            'Adds the login form.',
+            '',
+            'Refs: APC-2',
+            '# Please enter the commit message for your changes. Lines starting',
+            "# with '#' will be ignored, and an empty message aborts the commit.",
+            '#',
+            '# On branch feature/APC-1-login',
+            ''
+        ].join('\n'));
+        assert.strictEqual(hookRunner.run(['commit', file], {}, line => output.push(line), dir), 0);
+
+        fs.writeFileSync(file, `[APC-1] feat(auth): Add login\nbody without blank line\n# comment\n`);
+        assert.strictEqual(hookRunner.run(['commit', file], {}, line => output.push(line), dir), 1);
+        assert.ok(output.some(line => line.includes('blank line')), 'Expected the structure problem in hook output');
+        assert.ok(!output.some(line => line.includes('Examples:')), 'Examples are only for convention problems');
+    });
+});
+
+runTest('Hook runner - prefill writes the ticket key into the message file', () => {
+    withTempDir({}, dir => {
+        const file = path.join(dir, 'COMMIT_EDITMSG');
+        fs.writeFileSync(file, '\n# Please enter the commit message\n');
+        assert.strictEqual(hookRunner.run(['prefill', file, 'feature/APC-12-login'], {}, () => {}, dir), 0);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), '[APC-12] \n# Please enter the commit message\n');
+
+        // A message left as just the prefilled footer is emptied, so git aborts the commit
+        const footerOnly = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(withConfig({ commitPattern: 'conventional', enableCommitValidation: false })) };
+        fs.writeFileSync(file, '');
+        hookRunner.run(['prefill', file, 'feature/APC-12-login'], footerOnly, () => {}, dir);
+        assert.strictEqual(hookRunner.run(['commit', file], footerOnly, () => {}, dir), 0);
+        assert.strictEqual(fs.readFileSync(file, 'utf8').trim(), '');
+        fs.writeFileSync(file, 'feat: add login\n\nRefs: APC-12\n');
+        assert.strictEqual(hookRunner.run(['commit', file], footerOnly, () => {}, dir), 0);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'feat: add login\n\nRefs: APC-12\n');
+
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(withConfig({ prefillTicket: false })) };
+        fs.writeFileSync(file, '\n');
+        assert.strictEqual(hookRunner.run(['prefill', file, 'feature/APC-12-login'], env, () => {}, dir), 0);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), '\n');
+    });
+});
+
+runTest('Hook runner - repository config file overrides baked settings', () => {
+    withTempDir({ '.validatebranchrc.json': '{ "branchPattern": "trunk" }' }, dir => {
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(withConfig({ branchPattern: 'jira' })) };
+        assert.strictEqual(hookRunner.run(['branch', 'jdoe/user-login'], env, () => {}, dir), 0);
+        assert.strictEqual(hookRunner.run(['branch', 'feature/APC-1-login'], env, () => {}, dir), 1);
+    });
+});
+
+runTest('Hook runner - rules set to warning are printed without failing', () => {
+    withTempDir({}, dir => {
+        const file = path.join(dir, 'COMMIT_EDITMSG');
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(withConfig({ ruleSeverity: { 'header-pattern': 'warning' } })) };
+        const output = [];
+        fs.writeFileSync(file, 'added login\n');
+        assert.strictEqual(hookRunner.run(['commit', file], env, line => output.push(line), dir), 0);
+        assert.ok(output.some(line => line.startsWith('⚠️') && line.includes('convention')), output.join('\n'));
+    });
+});
+
+runTest('Hook runner - protected branches block commits and pushes when configured', () => {
+    withTempDir({}, dir => {
+        const settings = withConfig({ protectedBranches: ['main'], blockPushesToProtected: true });
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify(settings) };
+        const output = [];
+        assert.strictEqual(hookRunner.run(['protected', 'main', 'commit'], env, line => output.push(line), dir), 0);
+        assert.strictEqual(hookRunner.run(['protected', 'main', 'push'], env, line => output.push(line), dir), 1);
+        assert.strictEqual(hookRunner.run(['protected', 'feature/APC-1-login', 'push'], env, line => output.push(line), dir), 0);
+        assert.strictEqual(hookRunner.run(['branch', 'main'], env, line => output.push(line), dir), 0);
+        assert.ok(output.some(line => line.includes('protected branch "main"')), 'Expected the reason in hook output');
+    });
+});
+
+// Test Git Hook Installation
+console.log('\n🔗 Testing Git Hook Installation');
+console.log('===============================');
+
+runTest('Hook install - creates a hook and updates its block in place', () => {
+    withTempDir({}, dir => {
+        const hookPath = path.join(dir, 'pre-commit');
+        assert.strictEqual(gitHooks.installHook(hookPath, 'echo one'), 'created');
+        assert.strictEqual(gitHooks.installHook(hookPath, 'echo two'), 'updated');
+        const content = fs.readFileSync(hookPath, 'utf8');
+        assert.ok(content.startsWith(`#!/bin/sh\n${gitHooks.BLOCK_START}\n`));
+        assert.strictEqual(content.split(gitHooks.BLOCK_START).length, 2, 'Expected a single block');
+        assert.ok(content.includes('echo two') && !content.includes('echo one'));
+        assert.strictEqual(gitHooks.removeHook(hookPath), 'removed');
+        assert.strictEqual(fs.existsSync(hookPath), false);
+    });
+});
+
+runTest('Hook install - shares an existing shell hook and restores it', () => {
+    const original = '#!/usr/bin/env bash\nnpx lint-staged\n';
+    withTempDir({ 'pre-commit': original }, dir => {
+        const hookPath = path.join(dir, 'pre-commit');
+        assert.strictEqual(gitHooks.installHook(hookPath, 'echo check'), 'shared');
+        const content = fs.readFileSync(hookPath, 'utf8');
+        assert.ok(content.startsWith(`#!/usr/bin/env bash\n${gitHooks.BLOCK_START}`));
+        assert.ok(content.endsWith(`${gitHooks.BLOCK_END}\nnpx lint-staged\n`));
+        assert.strictEqual(gitHooks.removeHook(hookPath), 'unshared');
+        assert.strictEqual(fs.readFileSync(hookPath, 'utf8'), original);
+    });
+});
+
+runTest('Hook install - moves other hooks aside and chains to them', () => {
+    const original = '#!/usr/bin/env node\nconsole.log("team hook");\n';
+    withTempDir({ 'pre-push': original }, dir => {
+        const hookPath = path.join(dir, 'pre-push');
+        assert.strictEqual(gitHooks.installHook(hookPath, 'echo check', { forwardStdin: true }), 'chained');
+        assert.strictEqual(fs.readFileSync(hookPath + gitHooks.BACKUP_SUFFIX, 'utf8'), original);
+        assert.ok(fs.readFileSync(hookPath, 'utf8').includes(`exec "$0${gitHooks.BACKUP_SUFFIX}" "$@"`));
+        assert.strictEqual(gitHooks.installHook(hookPath, 'echo again', { forwardStdin: true }), 'updated');
+        assert.ok(fs.readFileSync(hookPath, 'utf8').includes(gitHooks.BACKUP_SUFFIX), 'Expected the chain to survive an update');
+        assert.strictEqual(gitHooks.removeHook(hookPath), 'restored');
+        assert.strictEqual(fs.readFileSync(hookPath, 'utf8'), original);
+        assert.strictEqual(fs.existsSync(hookPath + gitHooks.BACKUP_SUFFIX), false);
+    });
+});
+
+runTest('Hook install - replaces whole-file hooks of earlier versions, leaves foreign ones', () => {
+    withTempDir({ 'commit-msg': '#!/bin/sh\n# VS Code Validate Branch Extension - Commit message hook\necho old\n', 'post-merge': '#!/bin/sh\necho team\n' }, dir => {
+        assert.strictEqual(gitHooks.installHook(path.join(dir, 'commit-msg'), 'echo new'), 'updated');
+        assert.ok(!fs.readFileSync(path.join(dir, 'commit-msg'), 'utf8').includes('echo old'));
+        assert.strictEqual(gitHooks.removeHook(path.join(dir, 'post-merge')), null);
+        assert.strictEqual(gitHooks.removeHook(path.join(dir, 'missing')), null);
+    });
+});
+
+runTest('Hook install - both parts of a shared hook run, and a failure stops it', () => {
+    withTempDir({ 'pre-push': '#!/bin/sh\ncat > "$1"\n' }, dir => {
+        const hookPath = path.join(dir, 'pre-push');
+        const marker = path.join(dir, 'stdin.txt');
+        gitHooks.installHook(hookPath, 'while read ref sha; do [ "$ref" = bad ] && exit 1; done\nexit 0', { forwardStdin: true });
+        execFileSync('sh', [hookPath, marker], { input: 'refs/heads/main abc\n' });
+        assert.strictEqual(fs.readFileSync(marker, 'utf8'), 'refs/heads/main abc\n', 'Expected stdin to reach the team hook');
+        fs.unlinkSync(marker);
+        assert.throws(() => execFileSync('sh', [hookPath, marker], { input: 'bad abc\n', stdio: 'pipe' }));
+        assert.strictEqual(fs.existsSync(marker), false);
+    });
+});
+
+runTest('Hook install - stamped hooks are stale once the settings change', () => {
+    withTempDir({}, dir => {
+        const paths = { topLevel: dir, commonDir: path.join(dir, '.git'), hooksDir: path.join(dir, '.git', 'hooks') };
+        const hooks = buildHookScripts(withConfig({ branchPattern: 'jira' }));
+        assert.strictEqual(checkInstalledHooks(paths, 'standalone', hooks), null);
+
+        const runner = path.join(dir, 'extension', 'hook-runner.js');
+        fs.mkdirSync(path.dirname(runner));
+        fs.writeFileSync(runner, '');
+        gitHooks.installHooks(paths, 'standalone', hooks, runner);
+        const stamp = readHookStamp(fs.readFileSync(path.join(paths.hooksDir, 'commit-msg'), 'utf8'));
+        assert.ok(stamp && stamp.version === require('./package.json').version, 'Expected the version in the stamp');
+        assert.deepStrictEqual(checkInstalledHooks(paths, 'standalone', hooks), { manager: 'standalone', version: stamp.version, stale: false });
+        assert.strictEqual(checkInstalledHooks(paths, 'standalone', buildHookScripts(withConfig({ branchPattern: 'gitflow' }))).stale, true);
+        assert.strictEqual(checkInstalledHooks(paths, 'husky', hooks).stale, true, 'Expected another manager to be stale');
+
+        // The extension the hooks call was uninstalled or updated
+        fs.unlinkSync(runner);
+        assert.strictEqual(checkInstalledHooks(paths, 'standalone', hooks).stale, true, 'Expected a missing hook runner to be stale');
+        gitHooks.installHooks(paths, 'standalone', hooks, require.resolve('./lib/hook-runner'));
+        assert.strictEqual(checkInstalledHooks(paths, 'standalone', hooks).stale, false);
+
+        // Hooks of versions without a stamp
+        gitHooks.installHook(path.join(paths.hooksDir, 'pre-push'), 'echo old', { forwardStdin: true });
+        assert.strictEqual(checkInstalledHooks(paths, 'standalone', hooks).stale, true);
+    });
+});
+
+// git environment for test repositories, without config injected by the calling environment
+const gitEnv = { ...process.env, GIT_CONFIG_NOSYSTEM: '1' };
+['GIT_CONFIG_COUNT', 'GIT_CONFIG_KEY_0', 'GIT_CONFIG_VALUE_0', 'GIT_DIR', 'GIT_WORK_TREE'].forEach(key => delete gitEnv[key]);
+
+function git(dir, ...args) {
+    return execFileSync('git', args, { cwd: dir, env: gitEnv, encoding: 'utf8', stdio: 'pipe' }).trim();
+}
+
+runTest('Hook location - follows core.hooksPath and worktrees', () => {
+    withTempDir({}, dir => {
+        const repo = path.join(dir, 'repo');
+        fs.mkdirSync(repo);
+        git(repo, 'init', '-q');
+        const realRepo = fs.realpathSync(repo);
+        assert.strictEqual(gitHooks.resolveGitPaths(repo, gitEnv).hooksDir, path.join(realRepo, '.git', 'hooks'));
+
+        git(repo, 'config', 'core.hooksPath', '.husky/_');
+        const paths = gitHooks.resolveGitPaths(repo, gitEnv);
+        assert.strictEqual(paths.hooksDir, path.join(realRepo, '.husky', '_'));
+        assert.strictEqual(gitHooks.detectHookManager(paths), 'husky');
+
+        git(repo, 'config', '--unset', 'core.hooksPath');
+        git(repo, '-c', 'user.name=A', '-c', 'user.email=a@b.c', 'commit', '-q', '--allow-empty', '-m', 'init');
+        git(repo, 'worktree', 'add', '-q', path.join(dir, 'worktree'));
+        const worktreePaths = gitHooks.resolveGitPaths(path.join(dir, 'worktree'), gitEnv);
+        assert.strictEqual(worktreePaths.hooksDir, path.join(realRepo, '.git', 'hooks'));
+        assert.strictEqual(worktreePaths.topLevel, fs.realpathSync(path.join(dir, 'worktree')));
+        assert.strictEqual(gitHooks.detectHookManager(worktreePaths), 'standalone');
+    });
+});
+
+runTest('Hook location - Husky scripts without a shebang are shared', () => {
+    withTempDir({ '.husky/pre-commit': 'npx lint-staged\n' }, dir => {
+        const paths = { topLevel: dir, commonDir: path.join(dir, '.git'), hooksDir: path.join(dir, '.husky', '_') };
+        const { outcomes } = gitHooks.installHooks(paths, 'husky', { 'pre-commit': { body: 'echo check' }, 'commit-msg': { body: 'echo msg' } });
+        assert.deepStrictEqual(outcomes, { 'pre-commit': 'shared', 'commit-msg': 'created' });
+        assert.ok(fs.readFileSync(path.join(dir, '.husky', 'pre-commit'), 'utf8').startsWith(gitHooks.BLOCK_START));
+        assert.strictEqual(gitHooks.hooksInstalled(paths), true);
+        gitHooks.removeHooks(paths);
+        assert.strictEqual(fs.readFileSync(path.join(dir, '.husky', 'pre-commit'), 'utf8'), 'npx lint-staged\n');
+        assert.strictEqual(fs.existsSync(path.join(dir, '.husky', 'commit-msg')), false);
+        assert.strictEqual(gitHooks.hooksInstalled(paths), false);
+    });
+});
+
+runTest('Hook location - lefthook runs the hooks from lefthook-local.yml', () => {
+    withTempDir({ 'lefthook.yml': 'pre-commit:\n  commands:\n    lint:\n      run: npm run lint\n', '.git/.keep': '' }, dir => {
+        const paths = { topLevel: dir, commonDir: path.join(dir, '.git'), hooksDir: path.join(dir, '.git', 'hooks') };
+        assert.strictEqual(gitHooks.detectHookManager(paths), 'lefthook');
+        const hooks = {};
+        gitHooks.HOOK_NAMES.forEach(name => {
+            hooks[name] = { body: `echo ${name}` };
+        });
+        gitHooks.installHooks(paths, 'lefthook', hooks);
+        const local = require('yaml').parse(fs.readFileSync(path.join(dir, 'lefthook-local.yml'), 'utf8'));
+        assert.ok(local['commit-msg'].commands['validate-branch'].run.includes(path.join('.git', 'validate-branch', 'commit-msg')));
+        assert.strictEqual(local['pre-push'].commands['validate-branch'].use_stdin, true);
+        assert.strictEqual(gitHooks.hooksInstalled(paths), true);
+
+        gitHooks.removeHooks(paths);
+        assert.strictEqual(fs.existsSync(path.join(dir, 'lefthook-local.yml')), false);
+        assert.strictEqual(fs.existsSync(path.join(dir, '.git', 'validate-branch')), false);
+        assert.ok(fs.readFileSync(path.join(dir, 'lefthook.yml'), 'utf8').includes('npm run lint'));
+    });
+});
+
+runTest('Hook location - Husky hooks find the hook runner when they run', () => {
+    withTempDir({ '.validatebranchrc.json': '{ "enableBranchValidation": false, "commitPattern": "conventional" }' }, dir => {
+        git(dir, 'init', '-q');
+        git(dir, 'config', 'core.hooksPath', '.husky');
+        const paths = gitHooks.resolveGitPaths(dir, gitEnv);
+        const hooks = buildHookScripts(withConfig({ commitPattern: 'jira' }), 'husky');
+        gitHooks.installHooks(paths, 'husky', hooks, require.resolve('./lib/hook-runner'));
+        const committed = fs.readFileSync(path.join(dir, '.husky', 'commit-msg'), 'utf8');
+        assert.ok(!committed.includes(__dirname) && !committed.includes('VALIDATE_BRANCH_SETTINGS'), 'Expected nothing of this machine in .husky');
+        assert.strictEqual(gitHooks.readHookRunner(paths), require.resolve('./lib/hook-runner'));
+
+        const commit = message => execFileSync('git', ['-c', 'user.name=A', '-c', 'user.email=a@b.c', 'commit', '-q', '--allow-empty', '-m', message], { cwd: dir, env: gitEnv, encoding: 'utf8', stdio: 'pipe' });
+        assert.throws(() => commit('bad message'), /does not match|pattern/i);
+        commit('feat: add login');
+
+        // A clone without the extension: the repository's validate-branch dev dependency runs the checks
+        fs.unlinkSync(path.join(paths.commonDir, ...gitHooks.RUNNER_LINK.split('/')));
+        const skipped = spawnSync('git', ['-c', 'user.name=A', '-c', 'user.email=a@b.c', 'commit', '-q', '--allow-empty', '-m', 'bad message'], { cwd: dir, env: gitEnv, encoding: 'utf8' });
+        assert.strictEqual(skipped.status, 0);
+        assert.ok(skipped.stderr.includes('NOTHING IS BEING VALIDATED'), 'Expected a loud warning without a hook runner');
+        git(dir, 'reset', '-q', '--soft', 'HEAD~1');
+        fs.mkdirSync(path.join(dir, 'node_modules'));
+        fs.symlinkSync(__dirname, path.join(dir, 'node_modules', 'validate-branch'), 'dir');
+        assert.throws(() => commit('bad message'));
+        commit('fix: keep the session');
+    });
+});
+
+runTest('Hook runner - bypass markers and VALIDATE_BRANCH_SKIP', () => {
+    assert.deepStrictEqual(bypasses.getRequestedBypass({ VALIDATE_BRANCH_SKIP: 'prod outage' }), { via: 'VALIDATE_BRANCH_SKIP', reason: 'prod outage' });
+    assert.strictEqual(bypasses.getRequestedBypass({ VALIDATE_BRANCH_SKIP: '0' }, 'wip'), null);
+    assert.strictEqual(bypasses.getRequestedBypass({}, 'wip\n# [skip-validate] in a comment'), null);
+    assert.strictEqual(bypasses.removeMarker('[skip-validate] wip\n# comment'), 'wip\n# comment');
+    assert.strictEqual(bypasses.removeMarker('[APC-1] [skip-validate] wip'), '[APC-1] wip');
+    assert.strictEqual(bypasses.removeMarker('wip [skip-validate]'), 'wip');
+
+    withTempDir({}, dir => {
+        git(dir, 'init', '-q');
+        const file = path.join(dir, 'COMMIT_EDITMSG');
+        const output = [];
+        const settings = settings => ({ VALIDATE_BRANCH_SETTINGS: JSON.stringify(withConfig(settings)) });
+        fs.writeFileSync(file, '[skip-validate] wip\n# Please enter the commit message\n');
+        assert.strictEqual(hookRunner.run(['commit', file], settings({}), line => output.push(line), dir), 1);
+        assert.ok(output.some(line => line.includes('not allowed')), 'Expected the refused bypass to be reported');
+
+        const allowed = settings({ allowBypass: true, bypassTrailer: true });
+        assert.strictEqual(hookRunner.run(['commit', file], allowed, line => output.push(line), dir), 3);
+        const message = fs.readFileSync(file, 'utf8');
+        assert.ok(message.startsWith('wip\n'), message);
+        assert.ok(bypasses.hasBypassTrailer(message), message);
+        // A message that passes on its own bypasses nothing: no trailer and no log entry
+        fs.writeFileSync(file, '[APC-1] feat(auth): Add login [skip-validate]\n');
+        assert.strictEqual(hookRunner.run(['commit', file], allowed, () => {}, dir), 0);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), '[APC-1] feat(auth): Add login\n');
+        assert.strictEqual(hookRunner.run(['branch', 'my-feature'], { ...allowed, VALIDATE_BRANCH_SKIP: 'hotfix' }, () => {}, dir), 3);
+
+        const log = fs.readFileSync(path.join(dir, '.git', 'validate-branch-bypass.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(log.map(entry => [entry.check, entry.target, entry.via, entry.reason]), [
+            ['commit', 'wip', '[skip-validate]', ''],
+            ['branch', 'my-feature', 'VALIDATE_BRANCH_SKIP', 'hotfix']
+        ]);
+    });
+});
+
+runTest('Git commands - names and messages never reach a shell', () => {
+    withTempDir({ 'a.txt': 'a\n' }, dir => {
+        git(dir, 'init', '-q', '-b', 'main');
+        git(dir, 'config', 'user.name', 'Test');
+        git(dir, 'config', 'user.email', 'test@example.com');
+        git(dir, 'add', '.');
+        const branch = 'feature/APC-1-$(>pwned)`>pwned`';
+        const message = 'feat: handle "quotes", `backticks` and $(>pwned)\n\n  indented body line\nsecond line';
+        // The editor commands run git asynchronously; run them in a child process to wait for them
+        const script = `
+const { createGit, commitWithMessage } = require(${JSON.stringify(require.resolve('./lib/git'))});
+const git = createGit(process.cwd());
+git('checkout', '-b', process.argv[1])
+    .then(() => commitWithMessage(process.argv[2], process.cwd()))
+    .then(() => git('checkout', '-b', process.argv[1]))
+    .catch(error => console.log(JSON.stringify({ name: error.name, args: error.args, exitCode: error.exitCode, message: error.message })));`;
+        const error = JSON.parse(execFileSync(process.execPath, ['-e', script, branch, message], { cwd: dir, env: gitEnv, encoding: 'utf8' }));
+
+        assert.strictEqual(fs.existsSync(path.join(dir, 'pwned')), false, 'Expected no shell to run');
+        assert.strictEqual(git(dir, 'branch', '--show-current'), branch);
+        assert.strictEqual(git(dir, 'log', '-1', '--format=%B'), message);
+        assert.strictEqual(error.name, 'GitError');
+        assert.deepStrictEqual(error.args, ['checkout', '-b', branch]);
+        assert.strictEqual(error.exitCode, 128);
+        assert.ok(error.message.includes('already exists'), `Expected git's stderr, got: ${error.message}`);
+    });
+});
+
+runTest('Scope files - staged files checked against the scope of the header', () => {
+    const scopeMap = { 'packages/auth/**': 'auth', 'packages/ui/**': 'ui', 'docs/': 'docs', '**/*.md': 'docs' };
+    const config = withConfig({ checkScopeFiles: true, scopeMap });
+    const problems = (message, files) => rules.validateCommitMessage(message, config, {}, files).problems.map(problem => problem.message);
+    assert.strictEqual(rules.getFileScope('packages/auth/README.md', scopeMap), 'docs');
+    assert.strictEqual(rules.getFileScope('docs/setup/index.html', scopeMap), 'docs');
+    assert.strictEqual(rules.getFileScope('package-lock.json', scopeMap), null);
+    assert.deepStrictEqual(problems('[APC-1] feat(auth): Add login', ['packages/auth/login.js', 'package-lock.json']), []);
+    const conventional = withConfig({ ...config, commitPattern: 'conventional' });
+    assert.strictEqual(rules.validateCommitMessage('feat(auth,ui): add login', conventional, {}, ['packages/auth/login.js', 'packages/ui/form.js']).valid, true);
+    assert.deepStrictEqual(problems('[APC-1] feat(auth): Add login', ['packages/ui/form.js']), ['None of the staged files are in scope "auth"; they belong to ui.']);
+    assert.deepStrictEqual(problems('[APC-1] feat(auth): Add login', ['packages/auth/login.js', 'packages/ui/form.js']), [
+        'The staged files span several scopes (auth, ui), but the header only names "auth".'
+    ]);
+    assert.deepStrictEqual(problems('[APC-1] feat(auth): Add login', []), []);
+    assert.deepStrictEqual(problems('[APC-1] feat(auth): Add login'), []);
+    assert.strictEqual(rules.validateCommitMessage('[APC-1] feat(auth): Add login', withConfig({ scopeMap }), {}, ['packages/ui/form.js']).valid, true);
+
+    withTempDir({ 'packages/auth/login.js': '', 'packages/ui/form.js': '' }, dir => {
+        git(dir, 'init', '-q');
+        git(dir, 'add', 'packages/ui');
+        const file = path.join(dir, 'COMMIT_EDITMSG');
+        const env = { VALIDATE_BRANCH_SETTINGS: JSON.stringify({ ...config, ruleSeverity: { 'scope-files': 'warning' } }) };
+        const output = [];
+        fs.writeFileSync(file, '[APC-1] feat(auth): Add login\n');
+        assert.strictEqual(hookRunner.run(['commit', file], env, line => output.push(line), dir), 0);
+        assert.deepStrictEqual(output, ['⚠️  None of the staged files are in scope "auth"; they belong to ui.']);
+        git(dir, 'add', '.');
+        env.VALIDATE_BRANCH_SETTINGS = JSON.stringify(config);
+        assert.strictEqual(hookRunner.run(['commit', file], env, line => output.push(line), dir), 1);
+        assert.ok(output.includes('❌ The staged files span several scopes (auth, ui), but the header only names "auth".'), output.join('\n'));
+    });
+});
+
+// Test Issue Trackers
+console.log('\n🎫 Testing Issue Trackers');
+console.log('=========================');
+
+runTest('Trackers - tickets checked against a mock server, cached for offline use', () => {
+    // The tracker resolves asynchronously; run it and the mock server in a child process to wait for them
+    const script = `
+const http = require('http');
+const { createTracker, createMemoryStore } = require(${JSON.stringify(require.resolve('./lib/trackers'))});
+const auth = [];
+const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+        auth.push(request.headers.authorization || request.headers['private-token']);
+        const send = (status, data) => { response.writeHead(status, { 'Content-Type': 'application/json' }); response.end(JSON.stringify(data)); };
+        const jira = (key, summary, status) => ({ key, fields: { summary, status: { name: status } } });
+        const url = request.url.split('?')[0];
+        if (url === '/rest/api/2/issue/APC-1') send(200, jira('APC-1', 'Login form', 'In Progress'));
+        else if (url === '/rest/api/2/issue/APC-3') send(200, jira('APC-3', 'Old report', 'Done'));
+        else if (url === '/rest/api/2/search') send(200, { issues: [jira('APC-4', 'Login errors', 'To Do')] });
+        else if (url === '/repos/acme/app/issues/42') send(200, { number: 42, title: 'Crash on start', state: 'open', html_url: 'h' });
+        else if (url === '/api/v4/projects/acme%2Fapp/issues/7') send(200, { iid: 7, title: 'Docs', state: 'opened', web_url: 'w' });
+        else if (url === '/graphql') {
+            const { variables } = JSON.parse(body);
+            send(200, variables.id === 'ENG-5'
+                ? { data: { issue: { identifier: 'ENG-5', title: 'Sync', url: 'u', state: { name: 'Todo' } } } }
+                : { data: null, errors: [{ message: 'Entity not found: Issue' }] });
+        } else send(404, { errorMessages: ['Issue does not exist'] });
+    });
+});
+server.listen(0, '127.0.0.1', async () => {
+    const url = 'http://127.0.0.1:' + server.address().port;
+    let time = 0;
+    const store = createMemoryStore();
+    const tokenTracker = { ticketTracker: 'jira', ticketTrackerUrl: url + '/' };
+    const tracker = (ticketTracker, settings = {}) => createTracker({ ticketTracker, ticketTrackerUrl: url, ticketTrackerProject: 'acme/app', allowedTicketStatuses: [], ...settings }, { token: 'me@acme.io:secret', tokenTracker: { ...tokenTracker, ticketTracker }, store, now: () => time });
+    const jira = tracker('jira', { ticketTrackerProject: '', allowedTicketStatuses: ['in progress', 'To Do'] });
+    const states = async (provider, keys) => (await Promise.all(keys.map(key => provider.checkTicket(key)))).map(result => [result.key, result.state, result.valid]);
+    const out = {
+        jira: await states(jira, ['APC-1', 'APC-2', 'APC-3']),
+        others: [
+            ...await states(tracker('github'), ['GH-42', 'GH-43', 'APC-42']),
+            ...await states(tracker('gitlab'), ['GL-7', 'GH-7']),
+            ...await states(tracker('linear'), ['ENG-5', 'ENG-6'])
+        ],
+        search: (await jira.searchTickets('login')).map(ticket => ticket.key),
+        direct: (await jira.searchTickets('apc-1')).map(ticket => ticket.title),
+        auth: auth[0]
+    };
+    // A repository config file naming another host gets no token
+    await createTracker({ ticketTracker: 'jira', ticketTrackerUrl: url }, { token: 'me@acme.io:secret', tokenTracker: { ticketTracker: 'jira', ticketTrackerUrl: 'https://jira.acme.io' } }).checkTicket('APC-1');
+    out.foreignAuth = auth[auth.length - 1] || null;
+    server.closeAllConnections();
+    server.close(async () => {
+        time += 60 * 60 * 1000;
+        out.offline = await Promise.all(['APC-1', 'APC-3', 'APC-4', 'APC-9'].map(key => jira.checkTicket(key)));
+        console.log(JSON.stringify(out));
+    });
+});`;
+    const out = JSON.parse(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 30000 }));
+
+    assert.deepStrictEqual(out.jira, [['APC-1', 'ok', true], ['APC-2', 'missing', false], ['APC-3', 'status', false]]);
+    assert.deepStrictEqual(out.others, [
+        ['GH-42', 'ok', true], ['GH-43', 'missing', false], ['APC-42', 'unchecked', true],
+        ['GL-7', 'ok', true], ['GH-7', 'unchecked', true],
+        ['ENG-5', 'ok', true], ['ENG-6', 'missing', false]
+    ]);
+    assert.deepStrictEqual(out.search, ['APC-4']);
+    assert.deepStrictEqual(out.direct, ['Login form']);
+    assert.strictEqual(out.auth, `Basic ${Buffer.from('me@acme.io:secret').toString('base64')}`);
+    assert.strictEqual(out.foreignAuth, null, 'Expected no token for a tracker outside the user settings');
+
+    // Offline: the last known answers stand, and a ticket never seen is only unchecked
+    const [known, done, searched, unseen] = out.offline;
+    assert.deepStrictEqual([known.state, known.valid, known.offline], ['ok', true, true]);
+    assert.deepStrictEqual([done.state, done.valid], ['status', false]);
+    assert.ok(done.message.includes('last known answer'), done.message);
+    assert.strictEqual(searched.state, 'ok');
+    assert.deepStrictEqual([unseen.state, unseen.valid], ['unchecked', true]);
+    assert.strictEqual(createTracker({ ...rules.DEFAULT_CONFIG }), null);
+});
+
+// Test Repository Audit
+console.log('\n🔎 Testing Repository Audit');
+console.log('===========================');
+
+runTest('Audit - branch refs from for-each-ref', () => {
+    const branches = audit.parseBranchRefs([
+        'refs/heads/main',
+        'refs/heads/feature/APC-1-login',
+        'refs/remotes/origin/HEAD',
+        'refs/remotes/origin/bugfix/APC-2-crash',
+        ''
+    ].join('\n'));
+    assert.deepStrictEqual(branches, [
+        { ref: 'main', name: 'main', remote: false },
+        { ref: 'feature/APC-1-login', name: 'feature/APC-1-login', remote: false },
+        { ref: 'origin/bugfix/APC-2-crash', name: 'bugfix/APC-2-crash', remote: true }
+    ]);
+});
+
+runTest('Audit - commits from git log with multi-line bodies', () => {
+    const commits = audit.parseLog([
+        'abc\x1fAda\x1f[APC-1] feat: Add login\n\nBody line\n\x1fada@example.com\x1fAda\x1fada@example.com\x1e',
+        '\ndef\x1fBob\x1fadded stuff\n\x1fbob@example.com\x1fGitHub\x1fnoreply@github.com\x1e\n'
+    ].join(''));
+    assert.deepStrictEqual(commits, [
+        { sha: 'abc', author: 'Ada', authorEmail: 'ada@example.com', committer: 'Ada', committerEmail: 'ada@example.com', message: '[APC-1] feat: Add login\n\nBody line' },
+        { sha: 'def', author: 'Bob', authorEmail: 'bob@example.com', committer: 'GitHub', committerEmail: 'noreply@github.com', message: 'added stuff' }
+    ]);
+    assert.deepStrictEqual(audit.getIdentities(commits[1]), { author: 'Bob <bob@example.com>', committer: 'GitHub <noreply@github.com>' });
+});
+
+runTest('Audit - violations carry the rule they broke', () => {
+    const config = withConfig({ maxBranchLength: 30 });
+    const branches = audit.auditBranches([
+        { ref: 'feature/APC-1-login', name: 'feature/APC-1-login' },
+        { ref: 'origin/jdoe/stuff', name: 'jdoe/stuff' }
+    ], config);
+    assert.strictEqual(branches.length, 1);
+    assert.strictEqual(branches[0].ref, 'origin/jdoe/stuff');
+    assert.strictEqual(branches[0].rule, 'branch-pattern');
+
+    const commits = audit.auditCommits([
+        { sha: 'abc', author: 'Ada', message: '[APC-1] feat(auth): Add login' },
+        { sha: 'def', author: 'Bob', message: 'added stuff\nmore' }
+    ], config);
+    assert.ok(commits.length > 0 && commits.every(violation => violation.sha === 'def'));
+    assert.strictEqual(commits[0].subject, 'added stuff');
+    assert.ok(commits.some(violation => violation.rule === 'header-pattern'));
+});
+
+runTest('Audit - Markdown report escapes table cells', () => {
+    const markdown = audit.toMarkdown({
+        generatedAt: '2024-01-01T00:00:00.000Z',
+        repository: 'app',
+        branchConvention: 'Jira',
+        commitConvention: 'Jira',
+        range: 'last 50 commits',
+        branches: { checked: 2, violations: [] },
+        commits: { checked: 1, violations: [{ sha: '0123456789ab', author: 'Ada', subject: 'fix | tidy', rule: 'header-pattern', message: 'Bad' }] }
+    });
+    assert.ok(markdown.includes('- Repository: app'));
+    assert.ok(markdown.includes('## Branches: 0 violation(s) in 2 branches'));
+    assert.ok(markdown.includes('| `01234567` | Ada | fix \\| tidy | header-pattern | Bad |'));
+    assert.strictEqual(markdown.split('| Branch |').length, 1, 'No table for a clean section');
+});
+
+runTest('Audit - revision ranges', () => {
+    ['origin/main..HEAD', 'v1.2.0...HEAD', 'HEAD~20..HEAD', 'main'].forEach(range => {
+        assert.ok(audit.RANGE_PATTERN.test(range), `Expected ${range} to be accepted`);
+    });
+    ['main..HEAD; rm -rf /', '$(whoami)', '"main"', '--output=x', '-p', ''].forEach(range => {
+        assert.ok(!audit.RANGE_PATTERN.test(range), `Expected ${range} to be rejected`);
+    });
+});
+
+// Test Command Line Tool
+console.log('\n💻 Testing Command Line Tool');
+console.log('============================');
+
+function runCli(argv, cwd, stdin = '') {
+    const output = [];
+    const errors = [];
+    const code = cli.run(argv, { log: line => output.push(line), error: line => errors.push(line), cwd, readStdin: () => stdin });
+    return { code, output: output.join('\n'), errors: errors.join('\n') };
+}
+
+runTest('CLI - check-commit reads a message file or stdin', () => {
+    withTempDir({ 'good.txt': '[APC-1] feat(auth): Add login\n# comment\n', 'bad.txt': 'added login\n' }, dir => {
+        assert.strictEqual(runCli(['check-commit', 'good.txt'], dir).code, 0);
+        const bad = runCli(['check-commit', 'bad.txt'], dir);
+        assert.strictEqual(bad.code, 1);
+        assert.ok(bad.output.includes('header-pattern') && bad.output.includes('[APC-2356]'), 'Expected the rule and examples');
+        assert.strictEqual(runCli(['check-commit', '-'], dir, '[APC-1] fix(ui): Align button\n').code, 0);
+        assert.strictEqual(runCli(['check-commit', '-'], dir, 'oops\n').code, 1);
+    });
+});
+
+runTest('CLI - JSON, JUnit and GitHub output', () => {
+    withTempDir({ 'msg.txt': 'feat: <b>"x"</b>\nbody\n' }, dir => {
+        const json = JSON.parse(runCli(['check-commit', 'msg.txt', '--format', 'json'], dir).output);
+        assert.strictEqual(json.valid, false);
+        assert.deepStrictEqual(json.checks[0].problems.map(problem => problem.rule), ['header-pattern', 'body-leading-blank']);
+
+        const junit = runCli(['check-commit', 'msg.txt', '--format=junit'], dir).output;
+        assert.ok(junit.includes('<testsuites name="validate-branch" tests="1" failures="1">'));
+        assert.ok(junit.includes('name="feat: &lt;b&gt;&quot;x&quot;&lt;/b&gt;"'));
+        assert.ok(junit.includes('<failure type="header-pattern"'));
+
+        const github = runCli(['check-commit', 'msg.txt', '--format', 'github'], dir).output.split('\n');
+        assert.ok(github[0].startsWith('::error file=msg.txt,line=1,title=Validate Branch%3A header-pattern::'));
+        assert.ok(github[1].startsWith('::error file=msg.txt,line=2,'));
+    });
+});
+
+runTest('CLI - check-branch reads the repository config; usage errors exit with 2', () => {
+    withTempDir({ '.validatebranchrc.json': '{ "branchPattern": "trunk" }' }, dir => {
+        assert.strictEqual(runCli(['check-branch', 'jdoe/user-login'], dir).code, 0);
+        assert.strictEqual(runCli(['check-branch', 'feature/APC-1-login'], dir).code, 1);
+        assert.strictEqual(runCli([], dir).code, 2);
+        assert.strictEqual(runCli(['check-commit'], dir).code, 2);
+        assert.strictEqual(runCli(['check-commit', 'missing.txt'], dir).code, 2);
+        assert.strictEqual(runCli(['check-branch', 'x', '--format', 'xml'], dir).code, 2);
+        assert.strictEqual(runCli(['check-range', '--all'], dir).code, 2);
+        assert.strictEqual(runCli(['--help'], dir).code, 0);
+    });
+    withTempDir({ '.validatebranchrc.json': '{ "enableBranchValidation": false }' }, dir => {
+        const result = runCli(['check-branch', 'anything'], dir);
+        assert.strictEqual(result.code, 0);
+        assert.ok(result.errors.includes('disabled'));
+    });
+});
+
+runTest('CLI - check-range checks every commit of the range', () => {
+    withTempDir({}, dir => {
+        git(dir, 'init', '-q');
+        ['[APC-1] feat(auth): Add login', 'added stuff', '[APC-2] fix(ui): Align button'].forEach(message => {
+            git(dir, '-c', 'user.name=A', '-c', 'user.email=a@b.c', 'commit', '-q', '--allow-empty', '-m', message);
+        });
+        const result = runCli(['check-range', 'HEAD~2..HEAD', '--format', 'json'], dir);
+        assert.strictEqual(result.code, 1);
+        const checks = JSON.parse(result.output).checks;
+        assert.deepStrictEqual(checks.map(check => check.valid), [true, false]);
+        assert.ok(checks[1].title.endsWith(' added stuff'));
+        assert.strictEqual(runCli(['check-range', 'HEAD~1..HEAD'], dir).code, 0);
+    });
+});
+
+runTest('CLI - check-range skips merges and bot commits', () => {
+    withTempDir({ '.validatebranchrc.json': '{ "ignoredAuthors": ["\\\\[bot\\\\]"] }' }, dir => {
+        const commit = (...args) => git(dir, '-c', 'user.name=A', '-c', 'user.email=a@b.c', 'commit', '-q', ...args);
+        git(dir, 'init', '-q', '-b', 'main');
+        commit('--allow-empty', '-m', '[APC-1] feat(auth): Add login');
+        git(dir, 'checkout', '-q', '-b', 'side');
+        commit('--allow-empty', '--author', 'renovate[bot] <bot@renovateapp.com>', '-m', 'Update dependency lodash');
+        git(dir, 'checkout', '-q', 'main');
+        commit('--allow-empty', '-m', '[APC-2] fix(ui): Align button');
+        git(dir, '-c', 'user.name=A', '-c', 'user.email=a@b.c', 'merge', '-q', '--no-ff', '--no-edit', 'side');
+        const result = runCli(['check-range', 'HEAD~2..HEAD'], dir);
+        assert.strictEqual(result.code, 0, result.output);
+        assert.strictEqual((result.output.match(/skipped/g) || []).length, 2, result.output);
+    });
+});
+
+runTest('CLI - warnings are reported without failing', () => {
+    withTempDir({ '.validatebranchrc.json': '{ "branchPattern": "conventional", "ruleSeverity": { "branch-pattern": "warning" } }' }, dir => {
+        const text = runCli(['check-branch', 'my-feature'], dir);
+        assert.strictEqual(text.code, 0);
+        assert.ok(text.output.includes('branch-pattern (warning)') && text.output.includes('1 with warnings'), text.output);
+        const github = runCli(['check-branch', 'my-feature', '--format', 'github'], dir);
+        assert.ok(github.output.startsWith('::warning title=Validate Branch%3A branch-pattern::'), github.output);
+        const junit = runCli(['check-branch', 'my-feature', '--format', 'junit'], dir);
+        assert.ok(junit.output.includes('failures="0"') && junit.output.includes('<system-out>'), junit.output);
+    });
+});
+
+runTest('CLI - installed hooks match the ones the extension expects', () => {
+    withTempDir({
+        '.vscode/settings.json': '{ "validateBranch.branchPattern": "gitflow" }',
+        '.validatebranchrc.json': '{ "commitPattern": "angular" }'
+    }, dir => {
+        git(dir, 'init', '-q');
+        // A child process, so the hooks go where the test repository's git runs them from
+        execFileSync(process.execPath, [require.resolve('./lib/cli'), 'install-hooks'], { cwd: dir, env: gitEnv, stdio: 'pipe' });
+        const paths = gitHooks.resolveGitPaths(dir, gitEnv);
+        // The extension bakes the editor settings; the repository file is read by the hooks at run time
+        const status = checkInstalledHooks(paths, 'standalone', buildHookScripts(withConfig({ branchPattern: 'gitflow' })));
+        assert.deepStrictEqual(status, { manager: 'standalone', version: require('./package.json').version, stale: false });
+        assert.strictEqual(checkInstalledHooks(paths, 'standalone', buildHookScripts(withConfig({ commitPattern: 'angular' }))).stale, true);
+    });
+});
+
+// Test Configuration Loading
+console.log('\n⚙️  Testing Configuration Loading');
+console.log('================================');
+
+runTest('Config - .vscode/settings.json with comments and trailing commas', () => {
+    const settings = `{
+        // Team conventions
+        "validateBranch.branchPattern": "gitflow", /* inline */
+        "validateBranch.customCommitPattern": "^https?://[a-z]+$",
+    }`;
+    withTempDir({ '.vscode/settings.json': settings }, dir => {
+        const { config, warnings } = configLoader.loadConfig(dir);
+        assert.deepStrictEqual(warnings, []);
+        assert.strictEqual(config.branchPattern, 'gitflow');
+        assert.strictEqual(config.customCommitPattern, '^https?://[a-z]+$');
+        assert.strictEqual(config.commitPattern, 'jira');
+    });
+});
+
+runTest('Config - repository file takes precedence over editor settings', () => {
+    withTempDir({ '.validatebranchrc.json': '{ "commitPattern": "conventional" }' }, dir => {
+        const { config, source } = configLoader.loadConfig(dir, withConfig({ commitPattern: 'gitmoji', branchPattern: 'trunk' }));
+        assert.strictEqual(source, '.validatebranchrc.json');
+        assert.strictEqual(config.commitPattern, 'conventional');
+        assert.strictEqual(config.branchPattern, 'trunk');
+    });
+});
+
+runTest('Config - YAML file and package.json key', () => {
+    withTempDir({ '.validatebranchrc.yaml': '# team rules\nbranchPattern: gitflow\nenableCommitValidation: false\n' }, dir => {
+        const { config, source } = configLoader.loadConfig(dir, withConfig());
+        assert.strictEqual(source, '.validatebranchrc.yaml');
+        assert.strictEqual(config.branchPattern, 'gitflow');
+        assert.strictEqual(config.enableCommitValidation, false);
+    });
+    withTempDir({ 'package.json': JSON.stringify({ name: 'app', validateBranch: { commitPattern: 'angular' } }) }, dir => {
+        const { config, source } = configLoader.loadConfig(dir, withConfig());
+        assert.strictEqual(source, 'package.json#validateBranch');
+        assert.strictEqual(config.commitPattern, 'angular');
+    });
+});
+
+runTest('Config - invalid entries are reported and ignored', () => {
+    withTempDir({ '.validatebranchrc.json': '{ "branchPattern": "nope", "enableBranchValidation": "yes", "typo": 1 }' }, dir => {
+        const { config, warnings } = configLoader.loadConfig(dir, withConfig());
+        assert.strictEqual(warnings.length, 3);
+        assert.strictEqual(config.branchPattern, 'jira');
+        assert.strictEqual(config.enableBranchValidation, true);
+    });
+    withTempDir({ '.validatebranchrc.json': '{ "branchPattern": ' }, dir => {
+        const { config, warnings } = configLoader.loadConfig(dir, withConfig({ branchPattern: 'trunk' }));
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(config.branchPattern, 'trunk');
+    });
+});
+
+runTest('Config - cached per folder until a file it is read from changes', () => {
+    withTempDir({
+        '.validatebranchrc.json': '{ "commitPattern": "conventional", "scopesFromPackages": true, "allowedScopes": ["core"] }',
+        '.vscode/settings.json': '{}'
+    }, dir => {
+        let loads = 0;
+        const cache = configLoader.createConfigCache(root => {
+            loads++;
+            return configLoader.loadConfig(root).config;
+        });
+        // The live linters validate against the cached configuration
+        const lint = message => rules.validateCommitMessage(message, cache.get(dir)).valid;
+        assert.strictEqual(lint('feat(core): add login'), true);
+        assert.strictEqual(lint('feat(auth): add login'), false);
+        assert.strictEqual(loads, 1, 'Expected one load for repeated lints');
+
+        // A new workspace package adds its scope
+        fs.mkdirSync(path.join(dir, 'packages', 'auth'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'packages', 'auth', 'package.json'), '{ "name": "auth" }');
+        assert.strictEqual(cache.fileChanged(path.join(dir, 'packages', 'auth', 'package.json')), true);
+        assert.strictEqual(lint('feat(auth): add login'), true);
+
+        // The repository config file
+        fs.writeFileSync(path.join(dir, '.validatebranchrc.json'), '{ "commitPattern": "jira" }');
+        assert.strictEqual(cache.fileChanged(path.join(dir, 'README.md')), false);
+        assert.strictEqual(lint('feat(core): add login'), true, 'Expected unrelated files to keep the cache');
+        assert.strictEqual(cache.fileChanged(path.join(dir, '.validatebranchrc.json')), true);
+        assert.strictEqual(lint('feat(core): add login'), false);
+        assert.strictEqual(lint('[APC-1] feat(core): add login'), true);
+
+        // Settings changes clear the cache through clear()
+        fs.writeFileSync(path.join(dir, '.vscode', 'settings.json'), '{ "validateBranch.headerMaxLength": 20 }');
+        cache.clear();
+        assert.strictEqual(lint('[APC-1] feat(core): add login'), false);
+        assert.strictEqual(loads, 4);
+    });
+});
+
+runTest('Config - JSON schema matches the loader', () => {
+    const schema = JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', 'validatebranchrc.schema.json'), 'utf8'));
+    Object.keys(configLoader.CONFIG_SCHEMA).forEach(key => {
+        const property = schema.properties[key];
+        assert.ok(property, `Schema is missing "${key}"`);
+        const expected = configLoader.CONFIG_SCHEMA[key];
+        if (Array.isArray(expected)) {
+            assert.deepStrictEqual(property.enum, expected, `Schema enum for "${key}" is out of date`);
+        } else if (expected === 'string[]') {
+            assert.strictEqual(property.type, 'array', `Schema type for "${key}" is out of date`);
+            assert.strictEqual(property.items.type, 'string', `Schema items for "${key}" are out of date`);
+        } else if (expected === 'string{}') {
+            assert.strictEqual(property.type, 'object', `Schema type for "${key}" is out of date`);
+            assert.strictEqual(property.additionalProperties.type, 'string', `Schema values for "${key}" are out of date`);
+        } else if (expected === 'severity{}') {
+            assert.strictEqual(property.type, 'object', `Schema type for "${key}" is out of date`);
+            assert.deepStrictEqual(Object.keys(property.properties), rules.RULE_NAMES, `Schema rules for "${key}" are out of date`);
+            Object.values(property.properties).forEach(value => assert.deepStrictEqual(value.enum, rules.SEVERITIES));
+        } else {
+            assert.strictEqual(property.type, expected, `Schema type for "${key}" is out of date`);
+        }
     });
 });
 